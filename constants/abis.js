@@ -0,0 +1,195 @@
+// File: constants/abis.js
+const { ethers } = require('ethers');
+
+/**
+ * Human-readable ABIs of the Dextr Exchange contracts, by contract kind
+ */
+const abis = {
+  token: [
+    'function mint(uint256 amount) returns (bool)',
+    'function approve(address spender, uint256 amount) returns (bool)',
+    'function balanceOf(address account) view returns (uint256)',
+    'function decimals() view returns (uint8)',
+    // Faucet state, only exposed by some test tokens
+    'function mintCooldown() view returns (uint256)',
+    'function lastMintTime(address account) view returns (uint256)'
+  ],
+  vault: [
+    // Unconfirmed. Checked against the deployed code before withdrawing
+    'function withdraw(uint256 amount) returns (bool)',
+    'function balanceOf(address account) view returns (uint256)'
+  ],
+  staking: [
+    'function stakeDeposit(address sender, uint256 amount, address tokenVault)',
+    'function unstake(uint256 amount)'
+  ],
+  pair: [
+    'function placeMarketBuyOrder(uint256 baseAmount)',
+    'function placeMarketSellOrder(uint256 baseAmount)',
+    // Unconfirmed. Best levels of one side of the book, quote per base with 18 decimals
+    'function getDepth(bool isBid, uint256 levels) view returns (uint256[] prices, uint256[] baseAmounts)',
+    // Unconfirmed. Limit orders
+    'function placeBuyLimit(uint256 price, uint256 baseAmount) returns (uint256 orderId)',
+    'function placeSellLimit(uint256 price, uint256 baseAmount) returns (uint256 orderId)',
+    'function cancelOrder(uint256 orderId)',
+    'function getOrder(uint256 orderId) view returns (address owner, bool isBuy, uint256 price, uint256 amount, uint256 filled, bool active)',
+    'event OrderPlaced(uint256 indexed orderId, address indexed owner, bool isBuy, uint256 price, uint256 amount)'
+  ],
+  liquidity: [
+    'function enableFreeLiquidity((address token, uint256 amount, uint256 minAmount1, uint256 minAmount2) efl, address[] permitTokens, uint256[] minPermitPrices, uint256[] maxPermitPrices)',
+    // Unconfirmed. Position management, checked against the deployed code before use
+    'function disableFreeLiquidity(uint256 positionId)',
+    'function getPositionIds(address owner) view returns (uint256[])',
+    'function getPosition(uint256 positionId) view returns (address owner, address token, uint256 amount, address[] permitTokens, uint256[] minPermitPrices, uint256[] maxPermitPrices, bool active)'
+  ]
+};
+
+/**
+ * Calls of unverified contracts that are only known from transaction traces: the layout of their
+ * arguments, and where the configuration keeps the selector the deployed contract answers to.
+ * No signature we could find hashes to the vault deposit selector, so it is not declared above;
+ * move it there once the verified source gives its real signature.
+ */
+const tracedCalls = {
+  vault: {
+    deposit: {
+      inputs: [{ name: 'sender', type: 'address' }, { name: 'amount', type: 'uint256' }],
+      configuredSelectors: config => (config && config.deposit ? config.deposit.vaults : []).map(vault => vault.methodId)
+    }
+  }
+};
+
+/**
+ * Get the traced call of a contract kind, if the function is only known from traces
+ * @param {string} kind - Contract kind
+ * @param {string} functionName - Function name
+ * @returns {{inputs: Array<Object>, configuredSelectors: Function}|null}
+ */
+function getTracedCall(kind, functionName) {
+  return (tracedCalls[kind] && tracedCalls[kind][functionName]) || null;
+}
+
+const interfaces = Object.fromEntries(
+  Object.entries(abis).map(([kind, abi]) => [kind, new ethers.utils.Interface(abi)])
+);
+
+/**
+ * Get the ethers Interface of a contract kind
+ * @param {string} kind - Contract kind (token, vault, staking, pair, liquidity)
+ * @returns {ethers.utils.Interface}
+ */
+function getInterface(kind) {
+  const iface = interfaces[kind];
+  if (!iface) {
+    throw new Error(`Unknown contract kind: ${kind}`);
+  }
+  return iface;
+}
+
+/**
+ * List every function selector and event topic declared for a contract kind
+ * @param {string} kind - Contract kind
+ * @param {Object} tracedSelectors - Configured selector of each traced call of the contract, by function name
+ * @returns {Array<{type: string, name: string, id: string}>} - Selectors and topics, traced calls included
+ */
+function listSelectors(kind, tracedSelectors = {}) {
+  const iface = getInterface(kind);
+  const traced = Object.entries(tracedSelectors).map(([name, id]) => ({ type: 'function', name, id: id.toLowerCase() }));
+  const functions = Object.values(iface.functions).map(fragment => ({ type: 'function', name: fragment.name, id: iface.getSighash(fragment) }));
+  const events = Object.values(iface.events).map(fragment => ({ type: 'event', name: fragment.name, id: iface.getEventTopic(fragment) }));
+  return [...traced, ...functions, ...events];
+}
+
+/**
+ * Encode calldata for a contract function
+ * @param {string} kind - Contract kind
+ * @param {string} functionName - Function name
+ * @param {Array} args - Function arguments
+ * @param {string} selector - Configured selector, required for calls only known from traces
+ * @returns {string} - Calldata
+ */
+function encodeCall(kind, functionName, args, selector = null) {
+  const traced = getTracedCall(kind, functionName);
+  if (traced) {
+    if (!selector) {
+      throw new Error(`${kind}.${functionName} has no declared signature, pass the configured selector`);
+    }
+    return ethers.utils.hexConcat([selector, ethers.utils.defaultAbiCoder.encode(traced.inputs.map(input => input.type), args)]);
+  }
+  return getInterface(kind).encodeFunctionData(functionName, args);
+}
+
+/**
+ * Decode calldata sent to any registered contract
+ * @param {string} data - Calldata
+ * @returns {{kind: string, fragment: {name: string, inputs: Array<Object>}, args: ethers.utils.Result}|null} - Null if the selector is unknown
+ */
+function decodeCall(data) {
+  const selector = ethers.utils.hexDataSlice(data, 0, 4).toLowerCase();
+
+  for (const [kind, calls] of Object.entries(tracedCalls)) {
+    for (const [name, { inputs, configuredSelectors }] of Object.entries(calls)) {
+      if (!configuredSelectors(global.config).some(configured => configured.toLowerCase() === selector)) continue;
+
+      const args = ethers.utils.defaultAbiCoder.decode(inputs.map(input => input.type), ethers.utils.hexDataSlice(data, 4));
+      return { kind, fragment: { name, inputs }, args };
+    }
+  }
+
+  for (const [kind, iface] of Object.entries(interfaces)) {
+    try {
+      const fragment = iface.getFunction(selector);
+      return { kind, fragment, args: iface.decodeFunctionData(fragment, data) };
+    } catch (error) {
+      // Not declared by this interface
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Decode revert data into a readable reason
+ * @param {string} data - Revert data returned by the node
+ * @returns {string|null} - Reason string, panic code, custom error call, or null if there is no data
+ */
+function decodeError(data) {
+  if (!data || !ethers.utils.isHexString(data) || ethers.utils.hexDataLength(data) < 4) {
+    return null;
+  }
+
+  const selector = ethers.utils.hexDataSlice(data, 0, 4).toLowerCase();
+  const payload = ethers.utils.hexDataSlice(data, 4);
+
+  try {
+    // Error(string) and Panic(uint256) are built into Solidity
+    if (selector === '0x08c379a0') {
+      return ethers.utils.defaultAbiCoder.decode(['string'], payload)[0];
+    }
+    if (selector === '0x4e487b71') {
+      return `panic ${ethers.utils.defaultAbiCoder.decode(['uint256'], payload)[0].toHexString()}`;
+    }
+  } catch (error) {
+    return `malformed revert data ${selector}`;
+  }
+
+  for (const iface of Object.values(interfaces)) {
+    try {
+      const parsed = iface.parseError(data);
+      return `${parsed.name}(${parsed.args.map(String).join(', ')})`;
+    } catch (error) {
+      // Not declared by this interface
+    }
+  }
+
+  return `custom error ${selector}`;
+}
+
+module.exports = {
+  abis,
+  getInterface,
+  listSelectors,
+  encodeCall,
+  decodeCall,
+  decodeError
+};
@@ -1,70 +1,32 @@
+require('dotenv').config();
 const fs = require('fs');
-const yaml = require('js-yaml');
-const { ethers } = require('ethers');
+const { Command, Option, InvalidArgumentError } = require('commander');
 const figlet = require('figlet');
 const gradient = require('gradient-string');
-const cron = require('node-cron');
 
 // Import utilities
 const logger = require('./utils/logger');
 const { randomDelay } = require('./utils/delay');
-const { setupProxy } = require('./utils/proxy');
+const { loadConfig } = require('./utils/config');
+const { loadPrivateKeys, loadWalletKeys, loadProxies, selectAccounts } = require('./utils/accounts');
+const { getPassphrase, encryptKeys, writeKeystores } = require('./utils/keystore');
+const { openJournal } = require('./utils/journal');
+const { runPool } = require('./utils/pool');
+const { runWithContext } = require('./utils/context');
+const { createSummary, writeSummary, formatGas } = require('./utils/summary');
+const { notify } = require('./utils/notify');
+const { createScheduler } = require('./utils/scheduler');
+const { createGasBudget } = require('./utils/budget');
+const { createAccountProvider } = require('./utils/provider');
 
 // Import services
-const { registerUser } = require('./services/registration');
-const { claimAllFaucets } = require('./services/faucet');
-const { depositTokens } = require('./services/deposit');
-const { stakeTokens, unstakeTokens } = require('./services/stake');
-const { executeTrades } = require('./services/trading');
-const { addAllLiquidity } = require('./services/liquidity');
-
-// Load configuration
-let config;
-try {
-  const configFile = fs.readFileSync('./config.yaml', 'utf8');
-  config = yaml.load(configFile);
-  // Make config globally accessible
-  global.config = config;
-} catch (error) {
-  console.error('Failed to load configuration:', error.message);
-  process.exit(1);
-}
+const { MODULES, SECTIONS, runBotForWallet } = require('./services/pipeline');
+const { getLiquidityPositions, formatPosition } = require('./services/liquidity');
+const { checkContracts } = require('./services/contracts');
+const { collectPortfolio, renderPortfolio, exportPortfolio } = require('./services/portfolio');
 
-// Load private keys
-let privateKeys = [];
-try {
-  if (fs.existsSync(config.bot.privateKeyPath)) {
-    privateKeys = fs.readFileSync(config.bot.privateKeyPath, 'utf8')
-      .split('\n')
-      .map(line => line.trim())
-      .filter(line => line && !line.startsWith('#'));
-  } else {
-    logger.error(`Private key file not found: ${config.bot.privateKeyPath}`);
-    process.exit(1);
-  }
-} catch (error) {
-  logger.error(`Failed to load private keys: ${error.message}`);
-  process.exit(1);
-}
-
-// Load proxies if enabled
-let proxies = [];
-if (config.bot.useProxy) {
-  try {
-    if (fs.existsSync(config.bot.proxyPath)) {
-      proxies = fs.readFileSync(config.bot.proxyPath, 'utf8')
-        .split('\n')
-        .map(line => line.trim())
-        .filter(line => line && !line.startsWith('#'));
-    } else {
-      logger.warn(`Proxy file not found: ${config.bot.proxyPath}`);
-      logger.warn('Running without proxies');
-    }
-  } catch (error) {
-    logger.error(`Failed to load proxies: ${error.message}`);
-    logger.warn('Running without proxies');
-  }
-}
+// Where encrypt-keys writes the key bundle when neither --out nor bot.keystorePath is set
+const DEFAULT_KEYSTORE_PATH = './keystore.json';
 
 // Display ASCII art header
 function displayHeader() {
@@ -74,136 +36,443 @@ function displayHeader() {
       horizontalLayout: 'default',
       verticalLayout: 'default',
     })));
-    
+
     console.log('\n');
   }
-// Main function to run the bot for a single wallet
-async function runBotForWallet(privateKey, proxy = null) {
-  // Connect to the provider
-  const provider = new ethers.providers.JsonRpcProvider(config.network.rpc);
-  
-  // Create wallet instance
-  const wallet = new ethers.Wallet(privateKey, provider);
-  const walletAddress = wallet.address;
-  
-  // Setup proxy if provided
-  let proxyAgent = null;
-  if (proxy) {
-    proxyAgent = await setupProxy(proxy);
-  }
-  
-  // Log wallet info (masking private key)
-  const maskedAddress = `${walletAddress.substring(0, 6)}...${walletAddress.substring(walletAddress.length - 4)}`;
-  logger.info(`Starting operations for wallet ${maskedAddress}`, walletAddress);
-  
+
+/**
+ * Load and validate the configuration
+ * @param {Object} opts - Global command line options
+ * @returns {Object} - Validated config, also set as global.config
+ * @throws {Error} - If it is invalid; no notification can go out then, the channels are part of it
+ */
+function loadSettings(opts) {
+  let config;
   try {
-    // Register user if needed
-    await registerUser(wallet, proxyAgent);
-    
-    // Claim faucets
-    if (config.faucet.enabled) {
-      logger.info(`Claiming faucets for ${maskedAddress}`, walletAddress);
-      await claimAllFaucets(wallet, config.faucet, proxyAgent);
-      
-      // Wait for faucet tokens to be received
-      logger.info(`Waiting for faucet tokens to be credited for ${maskedAddress}`, walletAddress);
-      await randomDelay(config.faucet.delayMin, config.faucet.delayMax);
+    config = loadConfig(opts.config);
+    if (opts.dryRun) {
+      config.bot.dryRun = true;
     }
-    
-    // Deposit tokens
-    if (config.deposit.enabled) {
-      for (let i = 0; i < config.deposit.iterations; i++) {
-        logger.info(`Deposit iteration ${i + 1}/${config.deposit.iterations} for ${maskedAddress}`, walletAddress);
-        // Pass config as an additional parameter
-        await depositTokens(wallet, config.deposit, proxyAgent);
-        
-        if (i < config.deposit.iterations - 1) {
-          await randomDelay(config.deposit.delayMin, config.deposit.delayMax);
-        }
-      }
+    // Make config globally accessible
+    global.config = config;
+    logger.configure(config.logging);
+  } catch (error) {
+    throw new Error(`Failed to load configuration: ${error.message}`);
+  }
+  return config;
+}
+
+/**
+ * Load configuration, keys and proxies for a command
+ * @param {Object} opts - Global command line options
+ * @returns {Promise<{config: Object, accounts: Array<Object>}>} - Validated config and selected accounts
+ * @throws {Error} - If the configuration, keys or proxies cannot be loaded
+ */
+async function setup(opts) {
+  // Load and validate configuration before any wallet is touched
+  const config = loadSettings(opts);
+
+  let accounts;
+  try {
+    const privateKeys = await loadWalletKeys(config.bot);
+    const proxies = config.bot.useProxy ? loadProxies(config.bot.proxyPath) : [];
+    accounts = selectAccounts(privateKeys, proxies, opts.wallet);
+  } catch (error) {
+    throw new Error(`Failed to load wallets: ${error.message}`);
+  }
+
+  if (config.bot.dryRun) {
+    logger.warn('Dry-run mode: transactions are simulated and never broadcast');
+  }
+
+  return { config, accounts };
+}
+
+/**
+ * Run the bot once for every selected wallet, resuming an unfinished run from the journal,
+ * and report what happened in the run summary
+ * @param {Object} config - Validated configuration
+ * @param {Array<Object>} accounts - Selected accounts
+ * @param {Object} options - Options passed to runBotForWallet
+ * @param {string} command - Command name the journal records the run under
+ * @returns {Promise<void>}
+ */
+async function runAccounts(config, accounts, options, command) {
+  const journal = openJournal({
+    path: config.bot.journal.path,
+    command,
+    fresh: options.fresh,
+    // Simulated runs must not mark anything as done
+    enabled: config.bot.journal.enabled && !config.bot.dryRun
+  });
+
+  const concurrency = options.concurrency || config.bot.concurrency;
+  if (concurrency > 1) {
+    logger.info(`Processing ${accounts.length} wallets with concurrency ${concurrency}`);
+  }
+
+  const summary = createSummary({ runId: journal.runId, command, explorer: config.network.blockExplorer });
+  const gasBudget = createGasBudget(config.gas);
+  await notify('runStart', {
+    title: `Run ${journal.runId} ${journal.resumed ? 'resumed' : 'started'}`,
+    fields: { command, wallets: accounts.length, dryRun: config.bot.dryRun }
+  });
+
+  await runPool(accounts, concurrency, (account, i) => runWithContext({ runId: journal.runId, wallet: account.address, summary, gasBudget }, async () => {
+    const startedAt = Date.now();
+    let outcome;
+    try {
+      outcome = await runBotForWallet(account.privateKey, account.proxy, config, options, journal);
+    } catch (error) {
+      logger.error(`Wallet ${account.index} failed: ${error.message}`);
+      outcome = 'failed';
     }
-    
-    // Stake tokens
-    if (config.stake.enabled) {
-      for (let i = 0; i < config.stake.iterations; i++) {
-        logger.info(`Stake iteration ${i + 1}/${config.stake.iterations} for ${maskedAddress}`, walletAddress);
-        await stakeTokens(wallet, config.stake, proxyAgent);
-        
-        await randomDelay(config.stake.delayMin, config.stake.delayMax);
-        
-        logger.info(`Unstake iteration ${i + 1}/${config.stake.iterations} for ${maskedAddress}`, walletAddress);
-        await unstakeTokens(wallet, config.stake, proxyAgent);
-        
-        if (i < config.stake.iterations - 1) {
-          await randomDelay(config.stake.delayMin, config.stake.delayMax);
-        }
-      }
+    summary.recordWallet(account.address, outcome, Date.now() - startedAt);
+
+    const failures = summary.getFailures(account.address);
+    if (outcome === 'failed' || failures.length > 0) {
+      await notify('walletFailure', {
+        title: `Wallet ${account.index} ${outcome === 'failed' ? 'failed' : 'had failures'} in run ${journal.runId}`,
+        fields: { wallet: account.address, outcome, failed: failures.length > 0 ? failures.join(', ') : '-' }
+      });
     }
-    
-    // Execute trades
-    if (config.trade.enabled) {
-      for (let i = 0; i < config.trade.iterations; i++) {
-        logger.info(`Trade iteration ${i + 1}/${config.trade.iterations} for ${maskedAddress}`, walletAddress);
-        await executeTrades(wallet, config.trade, proxyAgent);
-        
-        if (i < config.trade.iterations - 1) {
-          await randomDelay(config.trade.delayMin, config.trade.delayMax);
-        }
-      }
+
+    // Add delay before this worker picks up its next wallet
+    if (outcome !== 'skipped' && i + concurrency < accounts.length) {
+      await randomDelay(config.bot.defaultDelayMin, config.bot.defaultDelayMax);
     }
-    
-    // Add liquidity
-    if (config.liquidity && config.liquidity.enabled) {
-      for (let i = 0; i < config.liquidity.iterations; i++) {
-        logger.info(`Add liquidity iteration ${i + 1}/${config.liquidity.iterations} for ${maskedAddress}`, walletAddress);
-        await addAllLiquidity(wallet, config.liquidity, proxyAgent);
-        
-        if (i < config.liquidity.iterations - 1) {
-          await randomDelay(config.liquidity.delayMin, config.liquidity.delayMax);
-        }
+  }));
+
+  journal.finish();
+
+  const report = summary.finish();
+  if (config.bot.summary.enabled) {
+    writeSummary(report, config.bot.summary.dir);
+  }
+
+  const { totals } = report;
+  await notify('runEnd', {
+    title: `Run ${journal.runId} finished`,
+    fields: {
+      command,
+      completed: totals.completed,
+      failed: totals.failed,
+      skipped: totals.skipped,
+      transactions: `${totals.confirmed}/${totals.transactions} confirmed`,
+      gas: `${formatGas(totals.gasSpent)} ETH`
+    }
+  });
+}
+
+/**
+ * Run the full pipeline for all wallets, once or on the cron schedules of config.schedule
+ * @param {Object} config - Validated configuration
+ * @param {Array<Object>} accounts - Selected accounts
+ * @param {Object} options - Run options (once, iterations, fresh, concurrency)
+ * @returns {Promise<void>}
+ */
+async function main(config, accounts, options) {
+  logger.info(`Starting Dextr Exchange Bot with ${accounts.length} wallets`);
+
+  if (options.once) {
+    await runAccounts(config, accounts, options, 'run');
+    logger.success('All wallet operations completed');
+    return;
+  }
+
+  const { schedule } = config;
+  const scheduledModules = Object.keys(schedule.modules);
+  for (const name of scheduledModules) {
+    if (!config[SECTIONS[name]]) {
+      throw new Error(`schedule.modules.${name} is set but there is no ${SECTIONS[name]} section`);
+    }
+  }
+
+  // --fresh only applies to the first run of each job, later runs resume as usual
+  const started = new Set();
+  const isFresh = name => {
+    const fresh = options.fresh && !started.has(name);
+    started.add(name);
+    return fresh;
+  };
+
+  const scheduler = createScheduler({ timezone: schedule.timezone, overlap: schedule.overlap, onError: handleJobError });
+
+  scheduler.add('pipeline', schedule.pipeline, async () => {
+    await runAccounts(config, accounts, { ...options, fresh: isFresh('pipeline'), exclude: scheduledModules }, 'run');
+    logger.success('All wallet operations completed');
+  });
+
+  for (const [name, expression] of Object.entries(schedule.modules)) {
+    scheduler.add(name, expression, async () => {
+      await runAccounts(config, accounts, { modules: [name], fresh: isFresh(name), concurrency: options.concurrency }, name);
+      logger.success(`${name} completed for ${accounts.length} wallet(s)`);
+    });
+  }
+
+  scheduler.start();
+  if (schedule.runOnStart) {
+    scheduler.trigger('pipeline');
+  }
+}
+
+/**
+ * Print the portfolio of every selected wallet and optionally export it
+ * @param {Object} config - Validated configuration
+ * @param {Array<Object>} accounts - Selected accounts
+ * @param {Object} options - Export paths (csv, json)
+ * @returns {Promise<void>}
+ */
+async function printBalances(config, accounts, options) {
+  const entries = await collectPortfolio(config, accounts);
+  console.log(renderPortfolio(config, entries));
+
+  if (options.csv) {
+    exportPortfolio(config, entries, options.csv, 'csv');
+  }
+  if (options.json) {
+    exportPortfolio(config, entries, options.json, 'json');
+  }
+}
+
+/**
+ * Print the active liquidity positions of every selected wallet
+ * @param {Object} config - Validated configuration
+ * @param {Array<Object>} accounts - Selected accounts
+ * @returns {Promise<void>}
+ */
+async function printLiquidityPositions(config, accounts) {
+  for (const { index, address, proxy } of accounts) {
+    const provider = await createAccountProvider(config.network, proxy);
+    if (!provider) {
+      logger.error(`Wallet ${index}: not reading liquidity positions without its proxy`, address);
+      continue;
+    }
+
+    try {
+      const positions = await getLiquidityPositions(provider, config.liquidity.contract, address);
+      if (positions.length === 0) {
+        logger.info(`Wallet ${index}: no liquidity positions`, address);
+        continue;
       }
+      for (const position of positions) {
+        logger.info(`Wallet ${index}: ${formatPosition(position)}`, address);
+      }
+    } catch (error) {
+      logger.error(`Wallet ${index}: failed to read liquidity positions: ${error.message}`, address);
     }
-    
-    logger.success(`All operations completed for ${maskedAddress}`, walletAddress);
-  } catch (error) {
-    logger.error(`Error running bot for ${maskedAddress}: ${error.message}`, walletAddress);
   }
 }
 
-// Main function to run the bot for all wallets
-async function main() {
-  displayHeader();
-  
-  logger.info(`Starting Dextr Exchange Bot with ${privateKeys.length} wallets`);
-  
-  // Match proxies with private keys
-  for (let i = 0; i < privateKeys.length; i++) {
-    const privateKey = privateKeys[i];
-    const proxy = i < proxies.length ? proxies[i] : null;
-    
-    await runBotForWallet(privateKey, proxy);
-    
-    // Add delay between wallets
-    if (i < privateKeys.length - 1) {
-      await randomDelay(config.bot.defaultDelayMin, config.bot.defaultDelayMax);
+/**
+ * Log which of the selectors the bot uses are found in the deployed contracts
+ * @param {Object} config - Validated configuration
+ * @returns {Promise<boolean>} - True if every selector was found
+ */
+async function printContractCheck(config) {
+  // Read through the first proxy, like the first wallet would
+  const proxies = config.bot.useProxy ? loadProxies(config.bot.proxyPath) : [];
+  const provider = await createAccountProvider(config.network, proxies[0] || null);
+  if (!provider) {
+    throw new Error('Not reading contracts without the proxy');
+  }
+
+  const rows = await checkContracts(config, provider);
+
+  for (const { label, address, kind, name, id, status } of rows) {
+    const line = `${label} (${kind} ${address}): ${name} ${id} ${status}`;
+    if (status === 'found') {
+      logger.info(line);
+    } else {
+      logger.warn(line);
     }
   }
-  
-  logger.success('All wallet operations completed');
-  
-  // Schedule the next run (after 25 hours)
-  const hourDelay = config.bot.runningDelay / (60 * 60 * 1000);
-  logger.info(`Scheduling next run in ${hourDelay.toFixed(2)} hours`);
-  
-  // Use setTimeout instead of cron for a one-time run after delay
-  setTimeout(() => {
-    logger.info('Starting next scheduled run');
-    main();
-  }, config.bot.runningDelay);
+
+  const problems = rows.filter(row => row.status !== 'found');
+  if (problems.length > 0) {
+    logger.warn(`${problems.length} of ${rows.length} selector(s) not found in the deployed contracts`);
+    return false;
+  }
+  logger.success(`All ${rows.length} selector(s) found in the deployed contracts`);
+  return true;
 }
 
-// Start the bot
-main().catch(error => {
+/**
+ * Flush the log files, then exit
+ * @param {number} code - Exit code
+ * @returns {Promise<void>}
+ */
+async function exit(code) {
+  await logger.close();
+  process.exit(code);
+}
+
+/**
+ * Report a scheduled run that threw; the next runs still go ahead
+ * @param {Error} error - Error thrown by the job
+ * @param {string} name - Job name
+ * @returns {Promise<void>}
+ */
+async function handleJobError(error, name) {
+  logger.error(`Scheduled ${name} run failed: ${error.message}`);
+  await notify('jobFailure', { title: `Scheduled ${name} run failed, the bot keeps running`, message: error.message });
+}
+
+/**
+ * Encrypt a plaintext private key file into a key bundle or a directory of ethers JSON keystores
+ * @param {Object} config - Validated configuration
+ * @param {Object} options - input, out, keystores and force
+ * @returns {Promise<void>}
+ */
+async function encryptKeyFile(config, options) {
+  const input = options.input || config.bot.privateKeyPath;
+  const output = options.keystores || options.out || config.bot.keystorePath || DEFAULT_KEYSTORE_PATH;
+  if (!input) {
+    throw new Error('Set bot.privateKeyPath or pass --input');
+  }
+  if (fs.existsSync(output) && !options.force) {
+    throw new Error(`${output} already exists, pass --force to overwrite it`);
+  }
+
+  const passphrase = getPassphrase(config.bot.passphraseEnv);
+  if (passphrase.length < 8) {
+    throw new Error(`The passphrase in ${config.bot.passphraseEnv} must be at least 8 characters`);
+  }
+
+  const privateKeys = loadPrivateKeys(input);
+  // Fails on the first malformed key
+  selectAccounts(privateKeys, []);
+
+  if (options.keystores) {
+    logger.info(`Encrypting ${privateKeys.length} key(s), one keystore at a time`);
+    await writeKeystores(privateKeys, passphrase, output);
+  } else {
+    fs.writeFileSync(output, JSON.stringify(encryptKeys(privateKeys, passphrase), null, 2), { mode: 0o600 });
+  }
+
+  logger.success(`Encrypted ${privateKeys.length} key(s) from ${input} into ${output}`);
+  logger.info(`Point bot.keystorePath at ${output} and remove ${input} from this machine`);
+}
+
+async function handleFatal(error) {
   logger.error(`Fatal error: ${error.message}`);
-  process.exit(1);
-});
\ No newline at end of file
+  await notify('fatal', { title: 'Fatal error, the bot stopped', message: error.message });
+  await exit(1);
+}
+
+// Parse --iterations as a non-negative integer
+function parseIterations(value) {
+  const iterations = Number(value);
+  if (!Number.isInteger(iterations) || iterations < 0) {
+    throw new InvalidArgumentError('Must be a non-negative integer.');
+  }
+  return iterations;
+}
+
+// Parse a strictly positive integer option
+function parsePositiveInt(value) {
+  const number = Number(value);
+  if (!Number.isInteger(number) || number < 1) {
+    throw new InvalidArgumentError('Must be a positive integer.');
+  }
+  return number;
+}
+
+const program = new Command();
+
+program
+  .name('d3xtr')
+  .description('Dextr Exchange testnet bot')
+  .option('-c, --config <path>', 'path to the configuration file', './config.yaml')
+  .option('-w, --wallet <index|address>', 'only use one wallet, by zero-based index in the key file or by address')
+  .option('--dry-run', 'build and simulate every transaction without signing or sending it')
+  .option('--fresh', 'start a new run instead of resuming the last unfinished one from the journal')
+  .option('--concurrency <n>', 'number of wallets to process at once (overrides bot.concurrency)', parsePositiveInt);
+
+const iterationsOption = () =>
+  new Option('-i, --iterations <n>', 'override the configured iterations of every module').argParser(parseIterations);
+
+program
+  .command('run', { isDefault: true })
+  .description('run the full pipeline for every wallet, then keep running it on the schedules in config.schedule')
+  .option('--once', 'run the pipeline once and exit instead of scheduling the next run')
+  .addOption(iterationsOption())
+  .action(async (cmdOpts, command) => {
+    const { config, accounts } = await setup(command.optsWithGlobals());
+    displayHeader();
+    const { fresh, concurrency } = command.optsWithGlobals();
+    await main(config, accounts, { once: cmdOpts.once, iterations: cmdOpts.iterations, fresh, concurrency });
+  });
+
+for (const name of MODULES) {
+  const moduleCommand = program
+    .command(name)
+    .description(`run only the ${name} step for the selected wallets`);
+
+  // Faucet claims and liquidity removal run once per wallet, every other module iterates
+  if (name !== 'faucet' && name !== 'remove-liquidity') {
+    moduleCommand.addOption(iterationsOption());
+  }
+
+  moduleCommand
+    .action(async (cmdOpts, command) => {
+      const { config, accounts } = await setup(command.optsWithGlobals());
+      if (!config[SECTIONS[name]]) {
+        throw new Error(`No ${name} section in ${command.optsWithGlobals().config}`);
+      }
+      const { fresh, concurrency } = command.optsWithGlobals();
+      await runAccounts(config, accounts, { modules: [name], iterations: cmdOpts.iterations, fresh, concurrency }, name);
+      logger.success(`${name} completed for ${accounts.length} wallet(s)`);
+    });
+}
+
+program
+  .command('balances')
+  .description('show gas, token, vault, staked and liquidity balances of the selected wallets')
+  .option('--csv <path>', 'also write the report as CSV')
+  .option('--json <path>', 'also write the report as JSON')
+  .action(async (cmdOpts, command) => {
+    const { config, accounts } = await setup(command.optsWithGlobals());
+    await printBalances(config, accounts, cmdOpts);
+  });
+
+program
+  .command('encrypt-keys')
+  .description('encrypt the plaintext key file with the passphrase from bot.passphraseEnv')
+  .option('--input <path>', 'plaintext key file (defaults to bot.privateKeyPath)')
+  .option('--out <path>', `key bundle to write (defaults to bot.keystorePath, else ${DEFAULT_KEYSTORE_PATH})`)
+  .option('--keystores <dir>', 'write one ethers JSON keystore per wallet into a directory instead of a bundle')
+  .option('--force', 'overwrite an existing output')
+  .action(async (cmdOpts, command) => {
+    const config = loadSettings(command.optsWithGlobals());
+    try {
+      await encryptKeyFile(config, cmdOpts);
+    } catch (error) {
+      logger.error(`Failed to encrypt keys: ${error.message}`);
+      await exit(1);
+    }
+  });
+
+program
+  .command('check-contracts')
+  .description('look for the function selectors the bot uses in the bytecode of the configured contracts')
+  .action(async (cmdOpts, command) => {
+    const config = loadSettings(command.optsWithGlobals());
+    if (!await printContractCheck(config)) {
+      await exit(1);
+    }
+  });
+
+program
+  .command('liquidity-positions')
+  .description('list the active liquidity positions of the selected wallets')
+  .action(async (cmdOpts, command) => {
+    const { config, accounts } = await setup(command.optsWithGlobals());
+    if (!config.liquidity) {
+      throw new Error(`No liquidity section in ${command.optsWithGlobals().config}`);
+    }
+    await printLiquidityPositions(config, accounts);
+  });
+
+// Start the bot
+program.parseAsync(process.argv).catch(handleFatal);
@@ -0,0 +1,148 @@
+const { ethers } = require('ethers');
+const logger = require('../utils/logger');
+const { listSelectors } = require('../constants/abis');
+
+// EIP-1967 storage slot holding the implementation address of a proxy
+const IMPLEMENTATION_SLOT = '0x360894a13ba1a3210667c828492db98dca3e2076cc3735a920a3ca505d382bbc';
+
+// Runtime code by lowercase address, shared by every wallet of the process
+const codeCache = new Map();
+
+/**
+ * List the configured contracts with the kind of ABI the bot uses for each
+ * @param {Object} config - Validated configuration
+ * @returns {Array<{label: string, kind: string, address: string, traced: Object}>} - traced holds the configured selectors of traced calls
+ */
+function getConfiguredContracts(config) {
+  const contracts = [
+    ...config.faucet.tokens.map(token => ({ label: token.symbol, kind: 'token', address: token.contract })),
+    ...config.deposit.vaults.map(vault => ({ label: `${vault.symbol} vault`, kind: 'vault', address: vault.contract, traced: { deposit: vault.methodId } }))
+  ];
+  if (config.stake) {
+    contracts.push({ label: 'staking', kind: 'staking', address: config.stake.contract });
+  }
+  if (config.trade) {
+    contracts.push(...config.trade.pairs.map(pair => ({ label: pair.name, kind: 'pair', address: pair.contract })));
+  }
+  if (config.liquidity) {
+    contracts.push({ label: 'liquidity', kind: 'liquidity', address: config.liquidity.contract });
+  }
+  return contracts;
+}
+
+/**
+ * Read the runtime bytecode of a contract, following an EIP-1967 proxy to its implementation
+ * @param {ethers.providers.Provider} provider - Provider
+ * @param {string} address - Contract address
+ * @returns {Promise<{code: string, implementation: string|null}>} - Lowercase hex without 0x
+ */
+async function getRuntimeCode(provider, address) {
+  const slot = await provider.getStorageAt(address, IMPLEMENTATION_SLOT);
+  const implementation = ethers.BigNumber.from(slot).isZero() ? null : ethers.utils.getAddress(ethers.utils.hexDataSlice(slot, 12));
+  const code = await provider.getCode(implementation || address);
+  return { code: code.slice(2).toLowerCase(), implementation };
+}
+
+/**
+ * Read the runtime bytecode of a contract once per process
+ * @param {ethers.providers.Provider} provider - Provider
+ * @param {string} address - Contract address
+ * @returns {Promise<{code: string, implementation: string|null}>}
+ */
+function getCachedRuntimeCode(provider, address) {
+  const key = address.toLowerCase();
+  if (!codeCache.has(key)) {
+    // Forget failed reads so the next caller tries again
+    codeCache.set(key, getRuntimeCode(provider, address).catch(error => {
+      codeCache.delete(key);
+      throw error;
+    }));
+  }
+  return codeCache.get(key);
+}
+
+/**
+ * Check whether bytecode pushes a selector or event topic, as the function dispatcher and emit do
+ * @param {string} code - Lowercase hex bytecode without 0x
+ * @param {Object} entry - Selector or topic from listSelectors
+ * @returns {boolean}
+ */
+function codeReferences(code, entry) {
+  const id = entry.id.slice(2).toLowerCase();
+  if (entry.type === 'event') {
+    return code.includes(`7f${id}`);
+  }
+  // The optimizer pushes selectors with a leading zero byte as PUSH3
+  return code.includes(`63${id}`) || (id.startsWith('00') && code.includes(`62${id.slice(2)}`));
+}
+
+/**
+ * Find which functions and events of a contract kind the deployed code does not reference
+ * @param {ethers.providers.Provider} provider - Provider
+ * @param {string} kind - Contract kind
+ * @param {string} address - Contract address
+ * @param {Array<string>} names - Function and event names declared in constants/abis.js
+ * @returns {Promise<Array<string>>} - Names whose selector or topic is missing
+ */
+async function findMissing(provider, kind, address, names) {
+  const { code } = await getCachedRuntimeCode(provider, address);
+  const entries = listSelectors(kind).filter(entry => names.includes(entry.name));
+  return names.filter(name => !entries.some(entry => entry.name === name && codeReferences(code, entry)));
+}
+
+/**
+ * Refuse to use functions or events of a contract whose deployed code does not reference them
+ * @param {ethers.providers.Provider} provider - Provider
+ * @param {string} kind - Contract kind
+ * @param {string} address - Contract address
+ * @param {Array<string>} names - Function and event names declared in constants/abis.js
+ * @returns {Promise<void>}
+ * @throws {Error} - UNSUPPORTED_OPERATION naming what is missing
+ */
+async function requireFunctions(provider, kind, address, names) {
+  const missing = await findMissing(provider, kind, address, names);
+  if (missing.length > 0) {
+    const error = new Error(`${kind} contract ${address} does not implement ${missing.join(', ')} as declared in constants/abis.js (see check-contracts)`);
+    error.code = ethers.errors.UNSUPPORTED_OPERATION;
+    throw error;
+  }
+}
+
+/**
+ * Look for every selector and event topic the bot uses in the deployed bytecode of the configured contracts.
+ * A missing selector means the declared signature, or the configured methodId, does not match the contract.
+ * @param {Object} config - Validated configuration
+ * @param {ethers.providers.Provider} provider - Provider
+ * @returns {Promise<Array<Object>>} - One row per contract and selector with status found, missing or an error
+ */
+async function checkContracts(config, provider) {
+  const rows = [];
+  for (const { traced, ...contract } of getConfiguredContracts(config)) {
+    let runtime;
+    try {
+      runtime = await getRuntimeCode(provider, contract.address);
+    } catch (error) {
+      logger.error(`Failed to read the code of ${contract.label} at ${contract.address}: ${error.message}`);
+      rows.push({ ...contract, name: '-', id: '-', status: 'unreadable' });
+      continue;
+    }
+    if (runtime.code.length === 0) {
+      rows.push({ ...contract, name: '-', id: '-', status: 'no code' });
+      continue;
+    }
+    if (runtime.implementation) {
+      logger.info(`${contract.label} is a proxy of ${runtime.implementation}`);
+    }
+
+    for (const entry of listSelectors(contract.kind, traced)) {
+      rows.push({ ...contract, name: entry.name, id: entry.id, status: codeReferences(runtime.code, entry) ? 'found' : 'missing' });
+    }
+  }
+  return rows;
+}
+
+module.exports = {
+  findMissing,
+  requireFunctions,
+  checkContracts
+};
@@ -1,20 +1,12 @@
 const { ethers } = require('ethers');
 const logger = require('../utils/logger');
-const { getGasPrice, estimateGas } = require('../utils/gas');
+const { estimateGas } = require('../utils/gas');
 const { randomDelay } = require('../utils/delay');
-const { getTokenBalance } = require('../utils/wallet');
-
-// ABI for token approve and transfer functions
-const TOKEN_ABI = [
-  'function approve(address spender, uint256 amount) returns (bool)',
-  'function balanceOf(address account) view returns (uint256)'
-];
-
-// ABI for deposit function
-const DEPOSIT_ABI = [
-  'function deposit(address sender, uint256 amount) returns (bool)',
-  'function balanceOf(address account) view returns (uint256)'
-];
+const { getTokenBalance, getTokenDecimals } = require('../utils/wallet');
+const { sendTransaction, logResult, failedResult } = require('../utils/transaction');
+const { abis, encodeCall } = require('../constants/abis');
+const { getRetryPolicy, withRetry } = require('../utils/retry');
+const { runStep } = require('../utils/journal');
 
 /**
  * Approve token spending by vault
@@ -22,10 +14,10 @@ const DEPOSIT_ABI = [
  * @param {string} tokenAddress - Token contract address
  * @param {string} vaultAddress - Vault contract address
  * @param {ethers.BigNumber} amount - Amount to approve
- * @returns {Promise<boolean>} - Approval success
+ * @returns {Promise<Object>} - Transaction result
  */
 async function approveToken(wallet, tokenAddress, vaultAddress, amount) {
-  const tokenContract = new ethers.Contract(tokenAddress, TOKEN_ABI, wallet);
+  const tokenContract = new ethers.Contract(tokenAddress, abis.token, wallet);
   
   try {
     // Get token decimals
@@ -39,9 +31,6 @@ async function approveToken(wallet, tokenAddress, vaultAddress, amount) {
     
     logger.info(`Approving ${ethers.utils.formatUnits(amount, decimals)} ${symbol} for vault`, wallet.address);
     
-    // Get gas price
-    const gasPrice = await getGasPrice(wallet.provider);
-    
     // Prepare transaction
     const approveTx = await tokenContract.populateTransaction.approve(vaultAddress, amount);
     
@@ -54,49 +43,21 @@ async function approveToken(wallet, tokenAddress, vaultAddress, amount) {
       gasLimit = ethers.BigNumber.from(100000);
     }
     
-    // Send transaction
-    const tx = await tokenContract.approve(vaultAddress, amount, {
-      gasLimit,
-      gasPrice
-    });
+    // Send transaction and wait for it to be mined
+    const result = await sendTransaction(wallet, {
+      ...approveTx,
+      gasLimit
+    }, `${symbol} approval`, 'approve');
     
-    logger.info(`${symbol} approval transaction sent: ${tx.hash}`, wallet.address);
-    
-    // Wait for transaction to be mined
-    const receipt = await tx.wait();
-    
-    if (receipt.status === 1) {
-      logger.success(`${symbol} approval successful`, wallet.address);
-      return true;
-    } else {
-      logger.error(`${symbol} approval failed`, wallet.address);
-      return false;
-    }
+    logResult(wallet, result, `${symbol} approval successful`, `${symbol} approval failed`);
+    return result;
   } catch (error) {
     logger.error(`Error approving token: ${error.message}`, wallet.address);
     // Log more details for debugging
     if (error.transaction) {
       logger.debug(`Transaction details: ${JSON.stringify(error.transaction)}`, wallet.address);
     }
-    return false;
-  }
-}
-
-/**
- * Get token decimals
- * @param {string} tokenAddress - Token contract address 
- * @param {ethers.providers.Provider} provider - Provider
- * @returns {Promise<number>} - Token decimals
- */
-async function getTokenDecimals(tokenAddress, provider) {
-  try {
-    const abi = ['function decimals() view returns (uint8)'];
-    const contract = new ethers.Contract(tokenAddress, abi, provider);
-    return await contract.decimals();
-  } catch (error) {
-    // Default to 18 if we can't get decimals
-    logger.warn(`Failed to get token decimals, defaulting to 18: ${error.message}`);
-    return 18;
+    return failedResult(error);
   }
 }
 
@@ -107,47 +68,31 @@ async function getTokenDecimals(tokenAddress, provider) {
  * @param {string} vaultAddress - Vault contract address
  * @param {ethers.BigNumber} amount - Amount to deposit
  * @param {string} symbol - Token symbol for logging
- * @returns {Promise<boolean>} - Deposit success
+ * @param {string} methodId - Deposit selector of the vault
+ * @returns {Promise<Object>} - Transaction result
  */
-async function depositToken(wallet, tokenAddress, vaultAddress, amount, symbol) {
+async function depositToken(wallet, tokenAddress, vaultAddress, amount, symbol, methodId) {
   try {
     // Get token decimals
     const decimals = await getTokenDecimals(tokenAddress, wallet.provider);
     
     logger.info(`Depositing ${ethers.utils.formatUnits(amount, decimals)} ${symbol} to vault`, wallet.address);
     
-    // Get gas price with higher priority
-    const gasPrice = await getGasPrice(wallet.provider, 1.5); // Use 1.5x multiplier
-    
-    // Prepare raw transaction data - use the correct method ID
-    const data = ethers.utils.hexConcat([
-      '0x609e7624', // Method ID for deposit(address,uint256)
-      ethers.utils.defaultAbiCoder.encode(['address', 'uint256'], [wallet.address, amount])
-    ]);
+    // Prepare raw transaction data
+    const data = encodeCall('vault', 'deposit', [wallet.address, amount], methodId);
     
     // Create raw transaction
     const rawTx = {
       to: vaultAddress,
       data,
-      gasLimit: ethers.BigNumber.from(300000),
-      gasPrice
+      gasLimit: ethers.BigNumber.from(300000)
     };
     
-    // Send raw transaction
-    const tx = await wallet.sendTransaction(rawTx);
-    
-    logger.info(`${symbol} deposit transaction sent: ${tx.hash}`, wallet.address);
-    
-    // Wait for transaction to be mined
-    const receipt = await tx.wait();
+    // Send raw transaction and wait for it to be mined
+    const result = await sendTransaction(wallet, rawTx, `${symbol} deposit`, 'deposit');
     
-    if (receipt.status === 1) {
-      logger.success(`${symbol} deposit successful`, wallet.address);
-      return true;
-    } else {
-      logger.error(`${symbol} deposit failed`, wallet.address);
-      return false;
-    }
+    logResult(wallet, result, `${symbol} deposit successful`, `${symbol} deposit failed`);
+    return result;
   } catch (error) {
     logger.error(`Error depositing ${symbol}: ${error.message}`, wallet.address);
     // Log more details if available
@@ -157,7 +102,7 @@ async function depositToken(wallet, tokenAddress, vaultAddress, amount, symbol)
     if (error.receipt) {
       logger.debug(`Receipt details: ${JSON.stringify(error.receipt)}`, wallet.address);
     }
-    return false;
+    return failedResult(error);
   }
 }
 
@@ -166,10 +111,12 @@ async function depositToken(wallet, tokenAddress, vaultAddress, amount, symbol)
  * @param {ethers.Wallet} wallet - Ethers wallet
  * @param {Object} depositConfig - Deposit configuration
  * @param {Object} proxyAgent - Proxy agent (optional)
+ * @param {Object} steps - Journal step scope (optional)
  * @returns {Promise<boolean>} - Overall success
  */
-async function depositTokens(wallet, depositConfig, proxyAgent = null) {
-  const { vaults, percentage, maxRetries } = depositConfig;
+async function depositTokens(wallet, depositConfig, proxyAgent = null, steps = null) {
+  const { vaults, percentage } = depositConfig;
+  const policy = getRetryPolicy(depositConfig);
   let overallSuccess = true;
   
   // Find matching faucet tokens for each vault
@@ -198,26 +145,18 @@ async function depositTokens(wallet, depositConfig, proxyAgent = null) {
       const decimals = await getTokenDecimals(tokenConfig.contract, wallet.provider);
       
       // Calculate amount to deposit based on percentage
-      const depositAmount = balance.mul(percentage).div(100);
+      const depositAmount = balance.mul(Math.round(percentage * 100)).div(10000);
       
       logger.info(`Depositing ${ethers.utils.formatUnits(depositAmount, decimals)} ${vault.symbol} (${percentage}% of balance)`, wallet.address);
       
-      let approveSuccess = false;
-      let depositSuccess = false;
-      let retries = 0;
-      
-      while (!approveSuccess && retries < maxRetries) {
-        if (retries > 0) {
-          logger.info(`Retrying ${vault.symbol} approval (${retries}/${maxRetries})`, wallet.address);
-          await randomDelay(2, 5);
-        }
-        
-        approveSuccess = await approveToken(wallet, tokenConfig.contract, vault.contract, depositAmount);
-        retries++;
-      }
+      const approveResult = await runStep(steps, `${vault.symbol}:approve`, () => withRetry(
+        () => approveToken(wallet, tokenConfig.contract, vault.contract, depositAmount),
+        policy,
+        `approve ${vault.symbol}`,
+        wallet.address
+      ));
       
-      if (!approveSuccess) {
-        logger.error(`Failed to approve ${vault.symbol} after ${maxRetries} attempts`, wallet.address);
+      if (!approveResult.success) {
         overallSuccess = false;
         continue;
       }
@@ -225,21 +164,14 @@ async function depositTokens(wallet, depositConfig, proxyAgent = null) {
       // Add small delay between approve and deposit
       await randomDelay(2, 5);
       
-      // Reset retries for deposit
-      retries = 0;
-      
-      while (!depositSuccess && retries < maxRetries) {
-        if (retries > 0) {
-          logger.info(`Retrying ${vault.symbol} deposit (${retries}/${maxRetries})`, wallet.address);
-          await randomDelay(2, 5);
-        }
-        
-        depositSuccess = await depositToken(wallet, tokenConfig.contract, vault.contract, depositAmount, vault.symbol);
-        retries++;
-      }
+      const depositResult = await runStep(steps, `${vault.symbol}:deposit`, () => withRetry(
+        () => depositToken(wallet, tokenConfig.contract, vault.contract, depositAmount, vault.symbol, vault.methodId),
+        policy,
+        `deposit ${vault.symbol}`,
+        wallet.address
+      ));
       
-      if (!depositSuccess) {
-        logger.error(`Failed to deposit ${vault.symbol} after ${maxRetries} attempts`, wallet.address);
+      if (!depositResult.success) {
         overallSuccess = false;
       }
       
@@ -1,11 +1,45 @@
 const { ethers } = require('ethers');
 const logger = require('../utils/logger');
-const { getGasPrice, estimateGas } = require('../utils/gas');
+const { estimateGas } = require('../utils/gas');
 const { randomDelay } = require('../utils/delay');
-const { getTokenBalance } = require('../utils/wallet');
+const { resolveDecimals } = require('../utils/wallet');
+const { sendTransaction, logResult, failedResult, skippedResult } = require('../utils/transaction');
+const { abis } = require('../constants/abis');
+const { getRetryPolicy, withRetry } = require('../utils/retry');
+const { runStep } = require('../utils/journal');
 
-// ABI for token mint function
-const MINT_ABI = ['function mint(uint256 amount) returns (bool)'];
+/**
+ * Read the faucet cooldown of a token, if its contract exposes one
+ * @param {ethers.Contract} tokenContract - Token contract
+ * @param {string} walletAddress - Wallet address
+ * @returns {Promise<number|null>} - Unix time the next claim is allowed, or null if unknown
+ */
+async function getNextClaimTime(tokenContract, walletAddress) {
+  try {
+    const [cooldown, lastMint] = await Promise.all([
+      tokenContract.mintCooldown(),
+      tokenContract.lastMintTime(walletAddress)
+    ]);
+    return lastMint.isZero() ? 0 : lastMint.add(cooldown).toNumber();
+  } catch (error) {
+    // Most test tokens mint without a cooldown
+    return null;
+  }
+}
+
+/**
+ * Get the balance under which a token is claimed again
+ * @param {Object} token - Token configuration
+ * @param {number} decimals - Token decimals
+ * @returns {ethers.BigNumber} - Threshold in token units
+ */
+function getTopUpThreshold(token, decimals) {
+  if (token.topUpBelow !== undefined) {
+    return ethers.utils.parseUnits(token.topUpBelow.toString(), decimals);
+  }
+  const threshold = global.config && global.config.faucet ? global.config.faucet.topUpThreshold : 50;
+  return ethers.utils.parseUnits(token.amount.toString(), decimals).mul(Math.round(threshold * 100)).div(10000);
+}
 
 /**
  * Claim tokens from a faucet
@@ -14,54 +48,72 @@ const MINT_ABI = ['function mint(uint256 amount) returns (bool)'];
  * @param {string} faucetConfig.contract - Faucet contract address
  * @param {string} faucetConfig.symbol - Token symbol
  * @param {number} faucetConfig.amount - Amount to claim
+ * @param {number} [faucetConfig.decimals] - Token decimals, read on-chain when omitted
+ * @param {number} [faucetConfig.topUpBelow] - Claim only below this balance
  * @param {Object} proxyAgent - Proxy agent (optional)
- * @returns {Promise<boolean>} - Claim success
+ * @returns {Promise<Object>} - Transaction result
  */
 async function claimFaucet(wallet, faucetConfig, proxyAgent = null) {
   const { contract, symbol, amount } = faucetConfig;
-  const tokenContract = new ethers.Contract(contract, MINT_ABI, wallet);
-  const amountInWei = ethers.utils.parseUnits(amount.toString(), 18);
-  
-  logger.info(`Claiming ${amount} ${symbol} from faucet`, wallet.address);
+  const tokenContract = new ethers.Contract(contract, abis.token, wallet);
   
   try {
-    // Check if we already have the tokens
-    const initialBalance = await getTokenBalance(contract, wallet.address, wallet.provider);
-    if (!initialBalance.isZero()) {
-      logger.info(`Already have ${ethers.utils.formatUnits(initialBalance, 18)} ${symbol}`, wallet.address);
-      return true;
+    const decimals = await resolveDecimals(faucetConfig, wallet.provider);
+    const amountInUnits = ethers.utils.parseUnits(amount.toString(), decimals);
+    
+    // Only top up wallets that dropped below the threshold
+    const initialBalance = await tokenContract.balanceOf(wallet.address);
+    const threshold = getTopUpThreshold(faucetConfig, decimals);
+    if (initialBalance.gte(threshold)) {
+      logger.info(`Already have ${ethers.utils.formatUnits(initialBalance, decimals)} ${symbol} (top-up below ${ethers.utils.formatUnits(threshold, decimals)})`, wallet.address);
+      return skippedResult(`${symbol} balance above top-up threshold`);
     }
     
-    // Get gas price
-    const gasPrice = await getGasPrice(wallet.provider);
+    const nextClaimTime = await getNextClaimTime(tokenContract, wallet.address);
+    if (nextClaimTime) {
+      const block = await wallet.provider.getBlock('latest');
+      if (block.timestamp < nextClaimTime) {
+        logger.info(`${symbol} faucet on cooldown until ${new Date(nextClaimTime * 1000).toISOString()}`, wallet.address);
+        return skippedResult(`${symbol} faucet on cooldown`);
+      }
+    }
+    
+    logger.info(`Claiming ${amount} ${symbol} from faucet`, wallet.address);
     
     // Prepare transaction
-    const mintTx = await tokenContract.populateTransaction.mint(amountInWei);
+    const mintTx = await tokenContract.populateTransaction.mint(amountInUnits);
     
     // Estimate gas
     const gasLimit = await estimateGas(mintTx, wallet);
     
-    // Send transaction
-    const tx = await tokenContract.mint(amountInWei, {
-      gasLimit,
-      gasPrice
-    });
+    // Send transaction and wait for it to be mined
+    const result = await sendTransaction(wallet, {
+      ...mintTx,
+      gasLimit
+    }, `${symbol} faucet claim`, 'faucet');
     
-    logger.info(`${symbol} faucet claim transaction sent: ${tx.hash}`, wallet.address);
-    
-    // Wait for transaction to be mined
-    const receipt = await tx.wait();
+    if (result.status !== 'confirmed') {
+      logResult(wallet, result, `Successfully claimed ${amount} ${symbol}`, `Failed to claim ${symbol}`);
+      return result;
+    }
     
-    if (receipt.status === 1) {
-      logger.success(`Successfully claimed ${amount} ${symbol}`, wallet.address);
-      return true;
-    } else {
-      logger.error(`Failed to claim ${symbol}`, wallet.address);
-      return false;
+    // Check what the mint actually credited; the claim is mined either way, so never fail here
+    try {
+      const finalBalance = await tokenContract.balanceOf(wallet.address);
+      const credited = finalBalance.sub(initialBalance);
+      if (credited.eq(amountInUnits)) {
+        logger.success(`Successfully claimed ${amount} ${symbol}`, wallet.address);
+      } else {
+        logger.warn(`${symbol} faucet credited ${ethers.utils.formatUnits(credited, decimals)} instead of ${amount}`, wallet.address);
+      }
+      return { ...result, credited };
+    } catch (error) {
+      logger.warn(`Claimed ${symbol} but could not verify the credited amount: ${error.message}`, wallet.address);
+      return result;
     }
   } catch (error) {
     logger.error(`Error claiming ${symbol} faucet: ${error.message}`, wallet.address);
-    return false;
+    return failedResult(error);
   }
 }
 
@@ -70,34 +122,26 @@ async function claimFaucet(wallet, faucetConfig, proxyAgent = null) {
  * @param {ethers.Wallet} wallet - Ethers wallet
  * @param {Object} faucetConfig - Faucet configuration
  * @param {Object} proxyAgent - Proxy agent (optional)
+ * @param {Object} steps - Journal step scope (optional)
  * @returns {Promise<boolean>} - Overall success
  */
-async function claimAllFaucets(wallet, faucetConfig, proxyAgent = null) {
-  const { tokens, maxRetries } = faucetConfig;
+async function claimAllFaucets(wallet, faucetConfig, proxyAgent = null, steps = null) {
+  const { tokens } = faucetConfig;
+  const policy = getRetryPolicy(faucetConfig);
   let overallSuccess = true;
   
   for (const token of tokens) {
-    let success = false;
-    let retries = 0;
-    
-    while (!success && retries < maxRetries) {
-      if (retries > 0) {
-        logger.info(`Retrying ${token.symbol} faucet claim (${retries}/${maxRetries})`, wallet.address);
-        // Wait before retrying
-        await randomDelay(5, 10);
-      }
-      
-      success = await claimFaucet(wallet, token, proxyAgent);
-      retries++;
-      
-      if (success) {
-        // Add delay between successful claims
-        await randomDelay(faucetConfig.delayMin, faucetConfig.delayMax);
-      }
-    }
+    const result = await runStep(steps, token.symbol, () => withRetry(
+      () => claimFaucet(wallet, token, proxyAgent),
+      policy,
+      `claim ${token.symbol} faucet`,
+      wallet.address
+    ));
     
-    if (!success) {
-      logger.error(`Failed to claim ${token.symbol} faucet after ${maxRetries} attempts`, wallet.address);
+    if (result.success) {
+      // Add delay between successful claims
+      await randomDelay(faucetConfig.delayMin, faucetConfig.delayMax);
+    } else {
       overallSuccess = false;
     }
   }
@@ -1,53 +1,146 @@
 const { ethers } = require('ethers');
 const logger = require('../utils/logger');
-const { getGasPrice } = require('../utils/gas');
 const { randomDelay } = require('../utils/delay');
+const { sendTransaction, logResult, failedResult, skippedResult } = require('../utils/transaction');
+const { abis, encodeCall } = require('../constants/abis');
+const { getRetryPolicy, withRetry } = require('../utils/retry');
+const { runStep } = require('../utils/journal');
+const { getTokenBalance } = require('../utils/wallet');
+const { PRICE_DECIMALS, getPairQuote, toQuoteAmount, toBaseAmount } = require('./market');
+const { requireFunctions } = require('./contracts');
+
+const PRICE_UNIT = ethers.BigNumber.from(10).pow(PRICE_DECIMALS);
+
+/**
+ * Read the current price of token2 in token1 terms from the matching trade pair
+ * @param {ethers.providers.Provider} provider - Provider
+ * @param {Object} token1 - Liquidity token1
+ * @param {Object} token2 - Liquidity token2
+ * @returns {Promise<ethers.BigNumber|null>} - Price with 18 decimals, or null without a pair whose order book has a price
+ */
+async function getPoolPrice(provider, token1, token2) {
+  const tradePairs = global.config && global.config.trade ? global.config.trade.pairs : [];
+  const direct = tradePairs.find(p => p.baseToken === token2.symbol && p.quoteToken === token1.symbol);
+  const inverse = tradePairs.find(p => p.baseToken === token1.symbol && p.quoteToken === token2.symbol);
+  const pair = direct || inverse;
+  if (!pair) {
+    return null;
+  }
+
+  const quote = await getPairQuote(provider, pair.contract);
+  if (!quote || quote.mid.isZero()) {
+    return null;
+  }
+  return direct ? quote.mid : PRICE_UNIT.mul(PRICE_UNIT).div(quote.mid);
+}
+
+/**
+ * Get percentage of the wallet's balance of a token
+ * @param {ethers.Wallet} wallet - Ethers wallet
+ * @param {Object} token - Liquidity token
+ * @param {number} percentage - Percentage of the balance to use
+ * @returns {Promise<ethers.BigNumber>} - Amount in token units
+ */
+async function getBalanceShare(wallet, token, percentage) {
+  const balance = await getTokenBalance(token.address, wallet.address, wallet.provider);
+  return balance.mul(Math.round(percentage * 100)).div(10000);
+}
+
+/**
+ * Size both sides of a deposit at one price, so token2 is worth as much as token1. A static amount
+ * fixes its side; otherwise both come from the balances and shrink together when token2 runs short.
+ * @param {ethers.Wallet} wallet - Ethers wallet
+ * @param {Object} pairConfig - Liquidity pair configuration
+ * @param {ethers.BigNumber} price - Price of token2 in token1 terms with 18 decimals
+ * @returns {Promise<Array<ethers.BigNumber>>} - token1 and token2 amounts in token units
+ */
+async function getLiquidityAmounts(wallet, pairConfig, price) {
+  const { token1, token2, amount1, amount2, percentage } = pairConfig;
+  // token2 is the base and token1 the quote of the price
+  const toToken1 = amount => toQuoteAmount(amount, price, token2, token1);
+  const toToken2 = amount => toBaseAmount(amount, price, token2, token1);
+
+  if (amount1 !== undefined && amount2 !== undefined) {
+    return [ethers.utils.parseUnits(amount1.toString(), token1.decimals), ethers.utils.parseUnits(amount2.toString(), token2.decimals)];
+  }
+  if (amount1 !== undefined) {
+    const amount1Wei = ethers.utils.parseUnits(amount1.toString(), token1.decimals);
+    return [amount1Wei, toToken2(amount1Wei)];
+  }
+  if (amount2 !== undefined) {
+    const amount2Wei = ethers.utils.parseUnits(amount2.toString(), token2.decimals);
+    return [toToken1(amount2Wei), amount2Wei];
+  }
+
+  const amount1Wei = await getBalanceShare(wallet, token1, percentage);
+  const amount2Wei = toToken2(amount1Wei);
+  const available2 = await getBalanceShare(wallet, token2, percentage);
+  if (amount2Wei.gt(available2)) {
+    return [toToken1(available2), available2];
+  }
+  return [amount1Wei, amount2Wei];
+}
 
 /**
  * Add liquidity to a token pair
  * @param {ethers.Wallet} wallet - Ethers wallet
  * @param {Object} pairConfig - Liquidity pair configuration
  * @param {Object} proxyAgent - Proxy agent (optional)
- * @returns {Promise<boolean>} - Success status
+ * @returns {Promise<Object>} - Transaction result
  */
 async function addLiquidity(wallet, pairConfig, proxyAgent = null) {
   const { 
     contract, 
     token1, 
     token2, 
-    amount1, 
-    amount2,
     slippage1,
     slippage2,
     minPrice,
-    maxPrice
+    maxPrice,
+    priceBand
   } = pairConfig;
   
   try {
     logger.info(`Adding liquidity for ${token1.symbol}-${token2.symbol} pair`, wallet.address);
     
-    // Convert amounts to wei
-    const amount1Wei = ethers.utils.parseUnits(amount1.toString(), token1.decimals);
-    const amount2Wei = ethers.utils.parseUnits(amount2.toString(), token2.decimals);
+    // Price from the trade pair's book when it can be read, otherwise from the middle of the configured range
+    let minPriceWei = minPrice !== undefined ? ethers.utils.parseUnits(minPrice.toString(), PRICE_DECIMALS) : null;
+    let maxPriceWei = maxPrice !== undefined ? ethers.utils.parseUnits(maxPrice.toString(), PRICE_DECIMALS) : null;
+    let price = await getPoolPrice(wallet.provider, token1, token2);
+    if (!price) {
+      if (!minPriceWei || !maxPriceWei) {
+        throw new Error(`No readable ${token2.symbol}/${token1.symbol} price; set minPrice and maxPrice`);
+      }
+      price = minPriceWei.add(maxPriceWei).div(2);
+      logger.warn(`No readable ${token2.symbol}/${token1.symbol} price, sizing at the middle of the configured range (${ethers.utils.formatUnits(price, PRICE_DECIMALS)})`, wallet.address);
+    }
+    
+    // Size from balances unless static amounts are configured
+    const [amount1Wei, amount2Wei] = await getLiquidityAmounts(wallet, pairConfig, price);
+    if (amount1Wei.isZero() || amount2Wei.isZero()) {
+      logger.warn(`Not enough ${token1.symbol} or ${token2.symbol} to add liquidity`, wallet.address);
+      return skippedResult(`no ${token1.symbol}-${token2.symbol} balance`);
+    }
     
     // Calculate slippage amounts
-    const slippageAmount1 = amount1Wei.mul(slippage1).div(100);
-    const slippageAmount2 = amount2Wei.mul(slippage2).div(100);
+    const slippageAmount1 = amount1Wei.mul(Math.round(slippage1 * 100)).div(10000);
+    const slippageAmount2 = amount2Wei.mul(Math.round(slippage2 * 100)).div(10000);
     
     // Min/max amounts with slippage
     const minAmount1 = amount1Wei.sub(slippageAmount1);
     const minAmount2 = amount2Wei.sub(slippageAmount2);
     
-    // Convert price ranges to wei
-    const minPriceWei = ethers.utils.parseUnits(minPrice.toString(), 18);
-    const maxPriceWei = ethers.utils.parseUnits(maxPrice.toString(), 18);
+    // Permit a band around the current price, unless both bounds are configured
+    if (!minPriceWei || !maxPriceWei) {
+      const bandBps = Math.round(priceBand * 100);
+      minPriceWei = minPriceWei || price.mul(10000 - Math.min(bandBps, 9999)).div(10000);
+      maxPriceWei = maxPriceWei || price.mul(10000 + bandBps).div(10000);
+      logger.info(`${token2.symbol} at ${ethers.utils.formatUnits(price, PRICE_DECIMALS)} ${token1.symbol}, permitting ${ethers.utils.formatUnits(minPriceWei, PRICE_DECIMALS)}-${ethers.utils.formatUnits(maxPriceWei, PRICE_DECIMALS)}`, wallet.address);
+    }
     
-    // Get gas price with higher priority
-    const gasPrice = await getGasPrice(wallet.provider, 1.3); // 1.3x multiplier for liquidity operations
+    logger.info(`Providing ${ethers.utils.formatUnits(amount1Wei, token1.decimals)} ${token1.symbol} and ${ethers.utils.formatUnits(amount2Wei, token2.decimals)} ${token2.symbol}`, wallet.address);
     
     // Construct enableFreeLiquidity parameters
-    // Method ID: 0x04898597
-    // Function: enableFreeLiquidity((address,uint256,uint256,uint256) efl, address[] permitTokens, uint256[] minPermitPrices, uint256[] maxPermitPrices)
     
     // Build the efl tuple: (token1Address, amount1, minAmount1, minAmount2)
     const eflTuple = [
@@ -63,45 +156,156 @@ async function addLiquidity(wallet, pairConfig, proxyAgent = null) {
     const maxPermitPrices = [maxPriceWei];
     
     // Encode parameters
-    const data = ethers.utils.hexConcat([
-      '0x04898597', // Method ID for enableFreeLiquidity
-      ethers.utils.defaultAbiCoder.encode(
-        ['tuple(address,uint256,uint256,uint256)', 'address[]', 'uint256[]', 'uint256[]'],
-        [eflTuple, permitTokens, minPermitPrices, maxPermitPrices]
-      )
-    ]);
+    const data = encodeCall('liquidity', 'enableFreeLiquidity', [eflTuple, permitTokens, minPermitPrices, maxPermitPrices]);
     
     // Create transaction with manually set gasLimit
     const rawTx = {
       to: contract,
       data,
-      gasLimit: ethers.BigNumber.from(700000), // Higher gas limit for liquidity operations
-      gasPrice
+      gasLimit: ethers.BigNumber.from(700000) // Higher gas limit for liquidity operations
     };
     
-    // Send raw transaction
-    const tx = await wallet.sendTransaction(rawTx);
-    
-    logger.info(`Add liquidity transaction sent: ${tx.hash}`, wallet.address);
-    
-    // Wait for transaction to be mined
-    const receipt = await tx.wait();
+    // Send raw transaction and wait for it to be mined
+    const result = await sendTransaction(wallet, rawTx, `Add liquidity for ${token1.symbol}-${token2.symbol}`, 'liquidity');
     
-    if (receipt.status === 1) {
-      logger.success(`Added liquidity for ${token1.symbol}-${token2.symbol} pair successfully`, wallet.address);
-      return true;
-    } else {
-      logger.error(`Failed to add liquidity for ${token1.symbol}-${token2.symbol} pair`, wallet.address);
-      return false;
-    }
+    logResult(wallet, result, `Added liquidity for ${token1.symbol}-${token2.symbol} pair successfully`, `Failed to add liquidity for ${token1.symbol}-${token2.symbol} pair`);
+    return result;
   } catch (error) {
     logger.error(`Error adding liquidity for ${token1.symbol}-${token2.symbol} pair: ${error.message}`, wallet.address);
     // Log more details if available
     if (error.transaction) {
       logger.debug(`Transaction details: ${JSON.stringify(error.transaction)}`, wallet.address);
     }
+    return failedResult(error);
+  }
+}
+
+/**
+ * Describe a token address with its faucet symbol and decimals
+ * @param {string} tokenAddress - Token address
+ * @returns {{symbol: string, decimals: number}}
+ */
+function describeToken(tokenAddress) {
+  const faucetTokens = global.config && global.config.faucet ? global.config.faucet.tokens : [];
+  const token = faucetTokens.find(t => t.contract.toLowerCase() === tokenAddress.toLowerCase());
+  return token ?
+    { symbol: token.symbol, decimals: token.decimals !== undefined ? token.decimals : 18 } :
+    { symbol: tokenAddress, decimals: 18 };
+}
+
+/**
+ * List the active liquidity positions of a wallet
+ * @param {ethers.providers.Provider} provider - Provider
+ * @param {string} contract - Liquidity contract address
+ * @param {string} walletAddress - Wallet address
+ * @returns {Promise<Array<Object>>} - Positions with id, token, symbol, amount and permitted price ranges
+ */
+async function getLiquidityPositions(provider, contract, walletAddress) {
+  await requireFunctions(provider, 'liquidity', contract, ['getPositionIds', 'getPosition']);
+  const liquidity = new ethers.Contract(contract, abis.liquidity, provider);
+  const ids = await liquidity.getPositionIds(walletAddress);
+  const positions = [];
+
+  for (const id of ids) {
+    const position = await liquidity.getPosition(id);
+    if (!position.active) continue;
+
+    const { symbol, decimals } = describeToken(position.token);
+    positions.push({
+      id: id.toString(),
+      token: position.token,
+      symbol,
+      amount: ethers.utils.formatUnits(position.amount, decimals),
+      permits: position.permitTokens.map((permitToken, i) => ({
+        token: permitToken,
+        symbol: describeToken(permitToken).symbol,
+        minPrice: ethers.utils.formatUnits(position.minPermitPrices[i], PRICE_DECIMALS),
+        maxPrice: ethers.utils.formatUnits(position.maxPermitPrices[i], PRICE_DECIMALS)
+      }))
+    });
+  }
+
+  return positions;
+}
+
+/**
+ * Format a liquidity position for logging
+ * @param {Object} position - Position from getLiquidityPositions
+ * @returns {string} - e.g. "#3 100.0 USDC for wBNB 420.7-781.3"
+ */
+function formatPosition(position) {
+  const permits = position.permits.map(permit => `${permit.symbol} ${permit.minPrice}-${permit.maxPrice}`);
+  return `#${position.id} ${position.amount} ${position.symbol} for ${permits.join(', ')}`;
+}
+
+/**
+ * Remove a liquidity position
+ * @param {ethers.Wallet} wallet - Ethers wallet
+ * @param {string} contract - Liquidity contract address
+ * @param {Object} position - Position from getLiquidityPositions
+ * @returns {Promise<Object>} - Transaction result
+ */
+async function removeLiquidity(wallet, contract, position) {
+  try {
+    logger.info(`Removing liquidity position ${formatPosition(position)}`, wallet.address);
+
+    const rawTx = {
+      to: contract,
+      data: encodeCall('liquidity', 'disableFreeLiquidity', [position.id]),
+      gasLimit: ethers.BigNumber.from(500000)
+    };
+
+    const result = await sendTransaction(wallet, rawTx, `Remove liquidity #${position.id}`, 'liquidity');
+
+    logResult(wallet, result, `Removed liquidity position #${position.id}`, `Failed to remove liquidity position #${position.id}`);
+    return result;
+  } catch (error) {
+    logger.error(`Error removing liquidity position #${position.id}: ${error.message}`, wallet.address);
+    return failedResult(error);
+  }
+}
+
+/**
+ * Remove every active liquidity position of a wallet
+ * @param {ethers.Wallet} wallet - Ethers wallet
+ * @param {Object} liquidityConfig - Liquidity configuration
+ * @param {Object} proxyAgent - Proxy agent (optional)
+ * @param {Object} steps - Journal step scope (optional)
+ * @returns {Promise<boolean>} - Overall success
+ */
+async function removeAllLiquidity(wallet, liquidityConfig, proxyAgent = null, steps = null) {
+  const { contract } = liquidityConfig;
+  const policy = getRetryPolicy(liquidityConfig);
+  let overallSuccess = true;
+
+  let positions;
+  try {
+    await requireFunctions(wallet.provider, 'liquidity', contract, ['disableFreeLiquidity']);
+    positions = await getLiquidityPositions(wallet.provider, contract, wallet.address);
+  } catch (error) {
+    logger.error(`Failed to read liquidity positions: ${error.message}`, wallet.address);
     return false;
   }
+
+  if (positions.length === 0) {
+    logger.info(`No liquidity positions to remove`, wallet.address);
+    return true;
+  }
+
+  for (const position of positions) {
+    const result = await runStep(steps, `remove:${position.id}`, () => withRetry(
+      () => removeLiquidity(wallet, contract, position),
+      policy,
+      `remove liquidity position #${position.id}`,
+      wallet.address
+    ));
+
+    if (!result.success) {
+      overallSuccess = false;
+    }
+  }
+
+  return overallSuccess;
 }
 
 /**
@@ -109,31 +313,36 @@ async function addLiquidity(wallet, pairConfig, proxyAgent = null) {
  * @param {ethers.Wallet} wallet - Ethers wallet
  * @param {Object} liquidityConfig - Liquidity configuration
  * @param {Object} proxyAgent - Proxy agent (optional)
+ * @param {Object} steps - Journal step scope (optional)
  * @returns {Promise<boolean>} - Overall success
  */
-async function addAllLiquidity(wallet, liquidityConfig, proxyAgent = null) {
-  const { pairs, maxRetries, delayMin, delayMax } = liquidityConfig;
+async function addAllLiquidity(wallet, liquidityConfig, proxyAgent = null, steps = null) {
+  const { pairs, delayMin, delayMax } = liquidityConfig;
+  const policy = getRetryPolicy(liquidityConfig);
   let overallSuccess = true;
   
+  // Rebalancing pulls the previous positions before adding at the current price
+  if (liquidityConfig.rebalance) {
+    overallSuccess = await removeAllLiquidity(wallet, liquidityConfig, proxyAgent, steps);
+  }
+  
   for (const pair of pairs) {
-    // Add contract from the main config to each pair
-    pair.contract = liquidityConfig.contract;
-    
-    let success = false;
-    let retries = 0;
+    // Fill in the contract and section-level defaults
+    const pairConfig = {
+      contract: liquidityConfig.contract,
+      percentage: liquidityConfig.percentage,
+      priceBand: liquidityConfig.priceBand,
+      ...pair
+    };
     
-    while (!success && retries < maxRetries) {
-      if (retries > 0) {
-        logger.info(`Retrying add liquidity for ${pair.token1.symbol}-${pair.token2.symbol} (${retries}/${maxRetries})`, wallet.address);
-        await randomDelay(2, 5);
-      }
-      
-      success = await addLiquidity(wallet, pair, proxyAgent);
-      retries++;
-    }
+    const result = await runStep(steps, `${pair.token1.symbol}-${pair.token2.symbol}`, () => withRetry(
+      () => addLiquidity(wallet, pairConfig, proxyAgent),
+      policy,
+      `add liquidity for ${pair.token1.symbol}-${pair.token2.symbol}`,
+      wallet.address
+    ));
     
-    if (!success) {
-      logger.error(`Failed to add liquidity for ${pair.token1.symbol}-${pair.token2.symbol} after ${maxRetries} attempts`, wallet.address);
+    if (!result.success) {
       overallSuccess = false;
     }
     
@@ -148,5 +357,9 @@ async function addAllLiquidity(wallet, liquidityConfig, proxyAgent = null) {
 
 module.exports = {
   addLiquidity,
-  addAllLiquidity
+  addAllLiquidity,
+  getLiquidityPositions,
+  formatPosition,
+  removeLiquidity,
+  removeAllLiquidity
 };
\ No newline at end of file
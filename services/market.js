@@ -0,0 +1,146 @@
+const { ethers } = require('ethers');
+const { resolveDecimals } = require('../utils/wallet');
+const { abis } = require('../constants/abis');
+const { findMissing } = require('./contracts');
+
+// Pair prices are quoted per base token with 18 decimals
+const PRICE_DECIMALS = 18;
+const PRICE_UNIT = ethers.BigNumber.from(10).pow(PRICE_DECIMALS);
+
+// Order book levels read on each side when pricing an order
+const DEPTH_LEVELS = 20;
+
+/**
+ * Get the faucet token and vault of a traded symbol
+ * @param {string} symbol - Token symbol
+ * @param {ethers.providers.Provider} provider - Provider
+ * @returns {Promise<{symbol: string, decimals: number, vault: string}>}
+ */
+async function getTradeToken(symbol, provider) {
+  const faucetTokens = global.config && global.config.faucet ? global.config.faucet.tokens : [];
+  const vaults = global.config && global.config.deposit ? global.config.deposit.vaults : [];
+  const token = faucetTokens.find(t => t.symbol === symbol);
+  const vault = vaults.find(v => v.symbol === symbol);
+
+  if (!token || !vault) {
+    throw new Error(`${symbol} needs an entry in faucet.tokens and deposit.vaults to be traded`);
+  }
+  return { symbol, decimals: await resolveDecimals(token, provider), vault: vault.contract };
+}
+
+/**
+ * Read the order book of a pair. The depth view is not confirmed, so it is only called when the
+ * pair's code dispatches its selector.
+ * @param {ethers.providers.Provider} provider - Provider
+ * @param {string} pairAddress - Pair contract address
+ * @returns {Promise<Object|null>} - bids and asks as {price, amount} levels, best first, and the best bid, best ask
+ * and mid prices with 18 decimals (zero when missing); null if the pair has no readable order book
+ */
+async function getPairQuote(provider, pairAddress) {
+  if ((await findMissing(provider, 'pair', pairAddress, ['getDepth'])).length > 0) {
+    return null;
+  }
+
+  const pair = new ethers.Contract(pairAddress, abis.pair, provider);
+  let depth;
+  try {
+    depth = await Promise.all([pair.getDepth(true, DEPTH_LEVELS), pair.getDepth(false, DEPTH_LEVELS)]);
+  } catch (error) {
+    if (error.code === ethers.errors.CALL_EXCEPTION) {
+      return null;
+    }
+    throw error;
+  }
+
+  const [bids, asks] = depth.map(([prices, amounts]) => prices
+    .map((price, i) => ({ price, amount: amounts[i] }))
+    .filter(level => !level.price.isZero() && !level.amount.isZero()));
+  const bid = bids.length > 0 ? bids[0].price : ethers.BigNumber.from(0);
+  const ask = asks.length > 0 ? asks[0].price : ethers.BigNumber.from(0);
+
+  let mid = bid.isZero() ? ask : bid;
+  if (!bid.isZero() && !ask.isZero()) {
+    mid = bid.add(ask).div(2);
+  }
+  return { bids, asks, bid, ask, mid };
+}
+
+/**
+ * Base amount one side of the book offers at a limit price or better
+ * @param {Array<Object>} levels - Levels the order takes, best first
+ * @param {ethers.BigNumber} limit - Worst accepted price
+ * @param {boolean} isBuy - True when taking asks, which must not be above the limit
+ * @returns {ethers.BigNumber} - Base amount
+ */
+function depthWithin(levels, limit, isBuy) {
+  return levels
+    .filter(level => (isBuy ? level.price.lte(limit) : level.price.gte(limit)))
+    .reduce((total, level) => total.add(level.amount), ethers.BigNumber.from(0));
+}
+
+/**
+ * Average price a market order fills at when it walks the book
+ * @param {Array<Object>} levels - Levels the order takes, best first
+ * @param {ethers.BigNumber} amount - Base amount
+ * @returns {ethers.BigNumber} - Volume-weighted price with 18 decimals
+ */
+function averageFillPrice(levels, amount) {
+  let remaining = amount;
+  let value = ethers.BigNumber.from(0);
+
+  for (const level of levels) {
+    if (remaining.isZero()) break;
+    const taken = level.amount.lt(remaining) ? level.amount : remaining;
+    value = value.add(taken.mul(level.price));
+    remaining = remaining.sub(taken);
+  }
+
+  const filled = amount.sub(remaining);
+  return filled.isZero() ? ethers.BigNumber.from(0) : value.div(filled);
+}
+
+/**
+ * Convert a percentage to basis points for BigNumber math
+ * @param {number} percent - Percentage
+ * @returns {number} - Basis points
+ */
+function toBps(percent) {
+  return Math.round(percent * 100);
+}
+
+/**
+ * Value of a base amount in quote token units
+ * @param {ethers.BigNumber} baseAmount - Base amount
+ * @param {ethers.BigNumber} price - Price with 18 decimals
+ * @param {Object} base - Base token
+ * @param {Object} quote - Quote token
+ * @returns {ethers.BigNumber} - Quote amount
+ */
+function toQuoteAmount(baseAmount, price, base, quote) {
+  return baseAmount.mul(price).mul(ethers.BigNumber.from(10).pow(quote.decimals))
+    .div(ethers.BigNumber.from(10).pow(base.decimals)).div(PRICE_UNIT);
+}
+
+/**
+ * Base amount a quote amount buys at a price
+ * @param {ethers.BigNumber} quoteAmount - Quote amount
+ * @param {ethers.BigNumber} price - Price with 18 decimals
+ * @param {Object} base - Base token
+ * @param {Object} quote - Quote token
+ * @returns {ethers.BigNumber} - Base amount
+ */
+function toBaseAmount(quoteAmount, price, base, quote) {
+  return quoteAmount.mul(ethers.BigNumber.from(10).pow(base.decimals)).mul(PRICE_UNIT)
+    .div(price.mul(ethers.BigNumber.from(10).pow(quote.decimals)));
+}
+
+module.exports = {
+  PRICE_DECIMALS,
+  getTradeToken,
+  getPairQuote,
+  depthWithin,
+  averageFillPrice,
+  toBps,
+  toQuoteAmount,
+  toBaseAmount
+};
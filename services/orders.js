@@ -0,0 +1,297 @@
+const { ethers } = require('ethers');
+const logger = require('../utils/logger');
+const { getVaultBalance } = require('../utils/wallet');
+const { sendTransaction, logResult, failedResult, skippedResult } = require('../utils/transaction');
+const { abis, getInterface, encodeCall } = require('../constants/abis');
+const { withRetry } = require('../utils/retry');
+const { readJson, writeJson, runStep } = require('../utils/journal');
+const { isDryRun } = require('../utils/simulate');
+const { PRICE_DECIMALS, getTradeToken, getPairQuote, toBps, toQuoteAmount } = require('./market');
+const { requireFunctions } = require('./contracts');
+
+const SIDES = ['bid', 'ask'];
+
+// Pair functions and events limit orders depend on; none of them is confirmed
+const ORDER_FUNCTIONS = ['placeBuyLimit', 'placeSellLimit', 'cancelOrder', 'getOrder', 'OrderPlaced'];
+
+/**
+ * Get the path of the open order store
+ * @returns {string} - Path of the JSON file
+ */
+function getOrdersPath() {
+  return global.config && global.config.trade && global.config.trade.ordersPath ?
+    global.config.trade.ordersPath : './data/orders.json';
+}
+
+/**
+ * Load the limit orders tracked for a wallet on a pair
+ * @param {string} walletAddress - Wallet address
+ * @param {string} pairName - Pair name
+ * @returns {Array<Object>} - Tracked orders
+ */
+function loadOrders(walletAddress, pairName) {
+  const data = readJson(getOrdersPath(), {});
+  return data[`${walletAddress.toLowerCase()}|${pairName}`] || [];
+}
+
+/**
+ * Replace the limit orders tracked for a wallet on a pair; dry runs leave the store untouched
+ * @param {string} walletAddress - Wallet address
+ * @param {string} pairName - Pair name
+ * @param {Array<Object>} orders - Orders still open
+ */
+function saveOrders(walletAddress, pairName, orders) {
+  // Simulated cancels and placements must not change what later real runs act on
+  if (isDryRun()) return;
+
+  // Read and write in one tick so concurrent wallets never overwrite each other
+  const data = readJson(getOrdersPath(), {});
+  data[`${walletAddress.toLowerCase()}|${pairName}`] = orders;
+  writeJson(getOrdersPath(), data);
+}
+
+/**
+ * Find the id of the order placed by a transaction
+ * @param {Array<Object>} logs - Receipt logs
+ * @param {string} pairAddress - Pair contract address
+ * @returns {string|null} - Order id
+ */
+function parseOrderId(logs, pairAddress) {
+  const iface = getInterface('pair');
+
+  for (const log of logs || []) {
+    if (log.address.toLowerCase() !== pairAddress.toLowerCase()) continue;
+    try {
+      const parsed = iface.parseLog(log);
+      if (parsed.name === 'OrderPlaced') {
+        return parsed.args.orderId.toString();
+      }
+    } catch (error) {
+      // Another event of the pair
+    }
+  }
+  return null;
+}
+
+/**
+ * Check that an order id belongs to the order a transaction placed
+ * @param {ethers.Contract} pair - Pair contract
+ * @param {string} orderId - Order id
+ * @param {string} owner - Wallet address
+ * @param {ethers.BigNumber} price - Order price
+ * @param {ethers.BigNumber} amount - Order amount
+ * @returns {Promise<boolean>}
+ */
+async function isOwnOrder(pair, orderId, owner, price, amount) {
+  const state = await pair.getOrder(orderId);
+  return state.owner.toLowerCase() === owner.toLowerCase() && state.price.eq(price) && state.amount.eq(amount);
+}
+
+/**
+ * Refresh a tracked order from the pair and report new fills
+ * @param {ethers.Wallet} wallet - Ethers wallet
+ * @param {Object} pairConfig - Trading pair configuration
+ * @param {Object} order - Tracked order
+ * @param {Object} base - Base token
+ * @returns {Promise<boolean>} - True if the order is still open
+ */
+async function syncOrder(wallet, pairConfig, order, base) {
+  const pair = new ethers.Contract(pairConfig.contract, abis.pair, wallet.provider);
+  const state = await pair.getOrder(order.orderId);
+
+  if (state.filled.gt(order.filled)) {
+    logger.success(`${pairConfig.name} ${order.side} #${order.orderId} filled ${ethers.utils.formatUnits(state.filled, base.decimals)}/${ethers.utils.formatUnits(state.amount, base.decimals)} ${base.symbol}`, wallet.address);
+    order.filled = state.filled.toString();
+  }
+
+  const open = state.active && state.filled.lt(state.amount);
+  if (!open) {
+    logger.info(`${pairConfig.name} ${order.side} #${order.orderId} is closed`, wallet.address);
+  }
+  return open;
+}
+
+/**
+ * Place a limit order at the configured offset from mid price
+ * @param {ethers.Wallet} wallet - Ethers wallet
+ * @param {Object} pairConfig - Trading pair configuration
+ * @param {string} side - bid or ask
+ * @param {ethers.BigNumber} mid - Mid price with 18 decimals
+ * @returns {Promise<Object>} - Transaction result with the order id and price
+ */
+async function placeOrder(wallet, pairConfig, side, mid) {
+  const { name, contract, baseToken, quoteToken, limit } = pairConfig;
+
+  try {
+    const base = await getTradeToken(baseToken, wallet.provider);
+    const quote = await getTradeToken(quoteToken, wallet.provider);
+    const amount = ethers.utils.parseUnits(limit.amount.toString(), base.decimals);
+
+    const offsetBps = side === 'bid' ? -toBps(limit.bidOffset) : toBps(limit.askOffset);
+    const price = mid.mul(10000 + offsetBps).div(10000);
+
+    // Bids lock quote tokens and asks lock base tokens in the vault
+    const [vaultToken, needed] = side === 'bid' ?
+      [quote, toQuoteAmount(amount, price, base, quote)] :
+      [base, amount];
+    const balance = await getVaultBalance(vaultToken.vault, wallet.address, wallet.provider);
+    if (balance.lt(needed)) {
+      logger.warn(`Not enough ${vaultToken.symbol} in the vault for a ${name} ${side} (${ethers.utils.formatUnits(balance, vaultToken.decimals)} < ${ethers.utils.formatUnits(needed, vaultToken.decimals)})`, wallet.address);
+      return skippedResult(`insufficient ${vaultToken.symbol} vault balance`);
+    }
+
+    logger.info(`Placing ${name} ${side} for ${limit.amount} ${baseToken} at ${ethers.utils.formatUnits(price, PRICE_DECIMALS)}`, wallet.address);
+
+    // The id the pair would assign, confirmed through getOrder if the receipt has no OrderPlaced event
+    const functionName = side === 'bid' ? 'placeBuyLimit' : 'placeSellLimit';
+    const pair = new ethers.Contract(contract, abis.pair, wallet.provider);
+    const predictedId = await pair.callStatic[functionName](price, amount, { from: wallet.address })
+      .then(id => id.toString(), () => null);
+
+    const data = encodeCall('pair', functionName, [price, amount]);
+    const rawTx = {
+      to: contract,
+      data,
+      gasLimit: ethers.BigNumber.from(600000)
+    };
+
+    const result = await sendTransaction(wallet, rawTx, `${side} on ${name}`, 'trade');
+
+    logResult(wallet, result, `${name} ${side} placed`, `${name} ${side} failed`);
+    if (result.status !== 'confirmed') {
+      return result;
+    }
+
+    let orderId = parseOrderId(result.logs, contract);
+    if (!orderId && predictedId && await isOwnOrder(pair, predictedId, wallet.address, price, amount)) {
+      orderId = predictedId;
+    }
+    if (!orderId) {
+      // Mined, so retrying would lock funds in a second order; the caller fails the step instead
+      logger.error(`Could not find the id of the ${name} ${side} placed in ${result.hash}; it is not tracked and must be cancelled by hand`, wallet.address);
+    }
+    return { ...result, orderId, price: price.toString(), amount: amount.toString() };
+  } catch (error) {
+    logger.error(`Error placing ${side} on ${name}: ${error.message}`, wallet.address);
+    return failedResult(error);
+  }
+}
+
+/**
+ * Cancel a tracked limit order
+ * @param {ethers.Wallet} wallet - Ethers wallet
+ * @param {Object} pairConfig - Trading pair configuration
+ * @param {Object} order - Tracked order
+ * @returns {Promise<Object>} - Transaction result
+ */
+async function cancelOrder(wallet, pairConfig, order) {
+  const { name, contract } = pairConfig;
+
+  try {
+    logger.info(`Cancelling stale ${name} ${order.side} #${order.orderId}`, wallet.address);
+
+    const rawTx = {
+      to: contract,
+      data: encodeCall('pair', 'cancelOrder', [order.orderId]),
+      gasLimit: ethers.BigNumber.from(300000)
+    };
+
+    const result = await sendTransaction(wallet, rawTx, `Cancel ${order.side} on ${name}`, 'trade');
+
+    logResult(wallet, result, `${name} ${order.side} #${order.orderId} cancelled`, `Failed to cancel ${name} ${order.side} #${order.orderId}`);
+    return result;
+  } catch (error) {
+    logger.error(`Error cancelling order #${order.orderId} on ${name}: ${error.message}`, wallet.address);
+    return failedResult(error);
+  }
+}
+
+/**
+ * Run one limit order cycle on a pair: report fills, cancel or replace stale
+ * orders and quote both sides that have no open order
+ * @param {ethers.Wallet} wallet - Ethers wallet
+ * @param {Object} pairConfig - Trading pair configuration with a limit block
+ * @param {Object} policy - Retry policy
+ * @param {Object} steps - Journal step scope (optional)
+ * @returns {Promise<boolean>} - Overall success
+ */
+async function runLimitOrders(wallet, pairConfig, policy, steps = null) {
+  const { name, contract, baseToken, limit } = pairConfig;
+  let overallSuccess = true;
+
+  try {
+    await requireFunctions(wallet.provider, 'pair', contract, ORDER_FUNCTIONS);
+
+    const base = await getTradeToken(baseToken, wallet.provider);
+    const open = [];
+    const busySides = new Set();
+
+    for (const order of loadOrders(wallet.address, name)) {
+      if (!await syncOrder(wallet, pairConfig, order, base)) continue;
+
+      if (Date.now() - order.placedAt < limit.staleAfter * 1000) {
+        open.push(order);
+        busySides.add(order.side);
+        continue;
+      }
+
+      const result = await runStep(steps, `${name}:cancel:${order.orderId}`, () =>
+        withRetry(() => cancelOrder(wallet, pairConfig, order), policy, `cancel ${name} order #${order.orderId}`, wallet.address));
+
+      if (!result.success || result.status === 'simulated') {
+        overallSuccess = overallSuccess && result.success;
+        open.push(order);
+        busySides.add(order.side);
+      } else if (!limit.replaceStale) {
+        busySides.add(order.side);
+      }
+    }
+    saveOrders(wallet.address, name, open);
+
+    const freeSides = SIDES.filter(side => !busySides.has(side));
+    if (freeSides.length > 0) {
+      const quote = await getPairQuote(wallet.provider, contract);
+      if (!quote || quote.mid.isZero()) {
+        logger.error(`${name} has ${quote ? 'an empty' : 'no readable'} order book to price limit orders from, not placing them`, wallet.address);
+        return false;
+      }
+      const { mid } = quote;
+
+      for (const side of freeSides) {
+        const result = await runStep(steps, `${name}:${side}`, () =>
+          withRetry(() => placeOrder(wallet, pairConfig, side, mid), policy, `place ${name} ${side}`, wallet.address));
+
+        if (!result.success) {
+          overallSuccess = false;
+        } else if (result.status === 'confirmed' && !result.orderId) {
+          overallSuccess = false;
+        } else if (result.orderId) {
+          open.push({
+            orderId: result.orderId,
+            side,
+            price: result.price,
+            amount: result.amount,
+            filled: '0',
+            placedAt: Date.now(),
+            txHash: result.hash
+          });
+          saveOrders(wallet.address, name, open);
+        }
+      }
+    }
+
+    const summary = open.map(order => `${order.side} #${order.orderId} at ${ethers.utils.formatUnits(order.price, PRICE_DECIMALS)}`);
+    logger.info(`${name} open orders: ${summary.length > 0 ? summary.join(', ') : 'none'}`, wallet.address);
+  } catch (error) {
+    logger.error(`Error running limit orders on ${name}: ${error.message}`, wallet.address);
+    overallSuccess = false;
+  }
+
+  return overallSuccess;
+}
+
+module.exports = {
+  placeOrder,
+  cancelOrder,
+  runLimitOrders
+};
@@ -0,0 +1,301 @@
+const { ethers } = require('ethers');
+const logger = require('../utils/logger');
+const { randomDelay } = require('../utils/delay');
+const { setupProxy } = require('../utils/proxy');
+const { connectProvider } = require('../utils/provider');
+const { runStep } = require('../utils/journal');
+const { runWithContext } = require('../utils/context');
+const { recordOutcome } = require('../utils/summary');
+const { isSubscribed, notify } = require('../utils/notify');
+const { getBudgetExhausted } = require('../utils/budget');
+
+const { registerUser } = require('./registration');
+const { claimAllFaucets } = require('./faucet');
+const { depositTokens } = require('./deposit');
+const { stakeTokens, unstakeTokens } = require('./stake');
+const { executeTrades } = require('./trading');
+const { addAllLiquidity, removeAllLiquidity } = require('./liquidity');
+const { withdrawTokens } = require('./withdraw');
+
+// Modules of the full pipeline, in the order they run
+const PIPELINE = ['faucet', 'deposit', 'staking', 'trade', 'liquidity', 'withdraw'];
+
+// Modules that can be run on their own from the command line
+const MODULES = ['faucet', 'deposit', 'stake', 'unstake', 'trade', 'liquidity', 'remove-liquidity', 'withdraw'];
+
+// Config section that enables and configures each module
+const SECTIONS = {
+  faucet: 'faucet',
+  deposit: 'deposit',
+  staking: 'stake',
+  stake: 'stake',
+  unstake: 'stake',
+  trade: 'trade',
+  liquidity: 'liquidity',
+  'remove-liquidity': 'liquidity',
+  withdraw: 'withdraw'
+};
+
+/**
+ * Get the journal step scope of a module iteration, or null when running without a journal
+ * @param {Object} session - Wallet session
+ * @param {string} module - Module name
+ * @param {number} iteration - Iteration index
+ * @returns {Object|null} - Step scope
+ */
+function stepScope(session, module, iteration) {
+  return session.journal ? session.journal.scope(session.walletAddress, module, iteration, session.wallet.provider) : null;
+}
+
+/**
+ * Run an operation and record what it returned in the run summary; an operation that throws counts as failed
+ * @param {Function} operation - Async function returning a boolean or a transaction result
+ * @returns {Promise<boolean|Object>} - Return value of the operation
+ */
+async function tracked(operation) {
+  let outcome = false;
+  try {
+    outcome = await operation();
+    return outcome;
+  } finally {
+    recordOutcome(outcome);
+  }
+}
+
+/**
+ * Run an operation a number of times with the module's delay in between
+ * @param {Object} session - Wallet session
+ * @param {string} module - Module name, used for logging and the journal
+ * @param {Object} moduleConfig - Module configuration (iterations and delays)
+ * @param {Function} operation - Async function receiving the iteration index and its journal step scope,
+ * returning a boolean or a transaction result
+ * @returns {Promise<void>}
+ */
+async function runIterations(session, module, moduleConfig, operation) {
+  const { walletAddress, maskedAddress, options } = session;
+  const iterations = options.iterations !== undefined ? options.iterations : moduleConfig.iterations;
+
+  for (let i = 0; i < iterations; i++) {
+    await runWithContext({ iteration: i + 1 }, async () => {
+      logger.info(`${module[0].toUpperCase()}${module.slice(1)} iteration ${i + 1}/${iterations} for ${maskedAddress}`, walletAddress);
+      await tracked(() => operation(i, stepScope(session, module, i)));
+    });
+
+    if (i < iterations - 1) {
+      await randomDelay(moduleConfig.delayMin, moduleConfig.delayMax);
+    }
+  }
+}
+
+// Step implementations keyed by module name
+const steps = {
+  async faucet(session) {
+    const { wallet, walletAddress, maskedAddress, proxyAgent, config } = session;
+    logger.info(`Claiming faucets for ${maskedAddress}`, walletAddress);
+    await tracked(() => claimAllFaucets(wallet, config.faucet, proxyAgent, stepScope(session, 'faucet', 0)));
+
+    // Wait for faucet tokens to be received
+    logger.info(`Waiting for faucet tokens to be credited for ${maskedAddress}`, walletAddress);
+    await randomDelay(config.faucet.delayMin, config.faucet.delayMax);
+  },
+
+  async deposit(session) {
+    const { wallet, proxyAgent, config } = session;
+    await runIterations(session, 'deposit', config.deposit, (i, steps) =>
+      depositTokens(wallet, config.deposit, proxyAgent, steps));
+  },
+
+  // The full pipeline stakes and then unstakes part of it in every iteration
+  async staking(session) {
+    const { wallet, walletAddress, maskedAddress, proxyAgent, config } = session;
+    await runIterations(session, 'staking', config.stake, async (i, steps) => {
+      const staked = await runStep(steps, 'stake', () => stakeTokens(wallet, config.stake, proxyAgent));
+      await randomDelay(config.stake.delayMin, config.stake.delayMax);
+
+      logger.info(`Unstake iteration ${i + 1} for ${maskedAddress}`, walletAddress);
+      const unstaked = await runStep(steps, 'unstake', () => unstakeTokens(wallet, config.stake, proxyAgent));
+      return staked.success && unstaked.success;
+    });
+  },
+
+  async stake(session) {
+    const { wallet, proxyAgent, config } = session;
+    await runIterations(session, 'stake', config.stake, (i, steps) =>
+      runStep(steps, 'stake', () => stakeTokens(wallet, config.stake, proxyAgent)));
+  },
+
+  async unstake(session) {
+    const { wallet, proxyAgent, config } = session;
+    await runIterations(session, 'unstake', config.stake, (i, steps) =>
+      runStep(steps, 'unstake', () => unstakeTokens(wallet, config.stake, proxyAgent)));
+  },
+
+  async trade(session) {
+    const { wallet, proxyAgent, config } = session;
+    await runIterations(session, 'trade', config.trade, (i, steps) =>
+      executeTrades(wallet, config.trade, proxyAgent, steps));
+  },
+
+  async liquidity(session) {
+    const { wallet, proxyAgent, config } = session;
+    await runIterations(session, 'liquidity', config.liquidity, (i, steps) =>
+      addAllLiquidity(wallet, config.liquidity, proxyAgent, steps));
+  },
+
+  async 'remove-liquidity'(session) {
+    const { wallet, proxyAgent, config } = session;
+    await tracked(() => removeAllLiquidity(wallet, config.liquidity, proxyAgent, stepScope(session, 'remove-liquidity', 0)));
+  },
+
+  async withdraw(session) {
+    const { wallet, proxyAgent, config } = session;
+    await runIterations(session, 'withdraw', config.withdraw, (i, steps) =>
+      withdrawTokens(wallet, config.withdraw, proxyAgent, steps));
+  }
+};
+
+/**
+ * Notify when a wallet starts with less ETH than notifications.lowGasBalance
+ * @param {ethers.Wallet} wallet - Ethers wallet
+ * @param {Object} config - Validated configuration
+ * @param {ethers.BigNumber} balance - ETH balance
+ * @returns {Promise<void>}
+ */
+async function checkGasBalance(wallet, config, balance) {
+  if (!isSubscribed('lowGas')) return;
+
+  const threshold = ethers.utils.parseEther(config.notifications.lowGasBalance.toFixed(18));
+  if (balance.lt(threshold)) {
+    logger.warn(`Low gas balance: ${ethers.utils.formatEther(balance)} ETH`, wallet.address);
+    await notify('lowGas', {
+      title: 'Low gas balance',
+      fields: { wallet: wallet.address, balance: `${ethers.utils.formatEther(balance)} ETH`, threshold: `${config.notifications.lowGasBalance} ETH` }
+    });
+  }
+}
+
+/**
+ * Check the gas budgets and the wallet's ETH against gas.reserve before anything is sent
+ * @param {ethers.Wallet} wallet - Ethers wallet
+ * @param {Object} config - Validated configuration
+ * @param {Array<string>} modules - Modules about to run
+ * @returns {Promise<Array<string>|null>} - Modules that can run, or null to skip the wallet
+ */
+async function preflight(wallet, config, modules) {
+  const exhausted = getBudgetExhausted(wallet.address);
+  if (exhausted) {
+    logger.warn(`Skipping wallet: ${exhausted}`, wallet.address);
+    return null;
+  }
+
+  let balance;
+  try {
+    balance = await wallet.provider.getBalance(wallet.address);
+  } catch (error) {
+    logger.warn(`Failed to read the ETH balance, running without the gas reserve check: ${error.message}`, wallet.address);
+    return modules;
+  }
+
+  await checkGasBalance(wallet, config, balance);
+
+  const { reserve, belowReserve, expensiveModules } = config.gas;
+  if (balance.gte(ethers.utils.parseEther(reserve.toFixed(18)))) {
+    return modules;
+  }
+
+  const reason = `${ethers.utils.formatEther(balance)} ETH is below the ${reserve} ETH gas reserve`;
+  if (belowReserve === 'skip-wallet') {
+    logger.warn(`Skipping wallet: ${reason}`, wallet.address);
+    return null;
+  }
+
+  const skipped = modules.filter(name => expensiveModules.includes(name));
+  if (skipped.length > 0) {
+    logger.warn(`Skipping ${skipped.join(', ')}: ${reason}`, wallet.address);
+  }
+  return modules.filter(name => !skipped.includes(name));
+}
+
+/**
+ * Run the bot for a single wallet
+ * @param {string} privateKey - Wallet private key
+ * @param {string|null} proxy - Proxy string (optional)
+ * @param {Object} config - Validated configuration
+ * @param {Object} [options] - Run options
+ * @param {Array<string>} [options.modules] - Modules to run; defaults to every enabled pipeline module
+ * @param {Array<string>} [options.exclude] - Modules to leave out of the full pipeline
+ * @param {number} [options.iterations] - Override the configured iterations of every module
+ * @param {Object} [journal] - Run journal used to skip steps that already went through
+ * @returns {Promise<string>} - 'skipped' if the journal has the wallet as complete or a gas check stopped it,
+ * 'completed' or 'failed'
+ */
+async function runBotForWallet(privateKey, proxy, config, options = {}, journal = null) {
+  const walletAddress = new ethers.Wallet(privateKey).address;
+  const maskedAddress = `${walletAddress.substring(0, 6)}...${walletAddress.substring(walletAddress.length - 4)}`;
+
+  if (journal && journal.isWalletComplete(walletAddress)) {
+    logger.info(`Skipping wallet ${maskedAddress}, already completed in run ${journal.runId}`, walletAddress);
+    return 'skipped';
+  }
+
+  // Setup proxy if provided
+  let proxyAgent = null;
+  if (proxy) {
+    proxyAgent = await setupProxy(proxy);
+    if (!proxyAgent) {
+      logger.error(`Not running ${maskedAddress} without its proxy`, walletAddress);
+      return 'failed';
+    }
+  }
+
+  // Health-check the RPC endpoints and connect, through the wallet's proxy if it has one
+  const provider = await connectProvider(config.network, proxyAgent);
+  const wallet = new ethers.Wallet(privateKey, provider);
+
+  // Log wallet info (masking private key)
+  logger.info(`Starting operations for wallet ${maskedAddress}`, walletAddress);
+
+  // Explicitly requested modules run even if disabled in config
+  const excluded = options.exclude || [];
+  const planned = options.modules ||
+    PIPELINE.filter(name => config[SECTIONS[name]] && config[SECTIONS[name]].enabled && !excluded.includes(name));
+  const modules = await preflight(wallet, config, planned);
+  if (!modules) {
+    return 'skipped';
+  }
+
+  const session = { wallet, walletAddress, maskedAddress, proxyAgent, config, options, journal };
+
+  try {
+    // Register user if running the full pipeline
+    if (!options.modules) {
+      await runWithContext({ module: 'register' }, () => tracked(() => registerUser(wallet, proxyAgent)));
+    }
+
+    for (const name of modules) {
+      const exhausted = getBudgetExhausted(walletAddress);
+      if (exhausted) {
+        logger.warn(`Stopping before ${name}: ${exhausted}`, walletAddress);
+        return 'skipped';
+      }
+      await runWithContext({ module: name }, () => steps[name](session));
+    }
+
+    // Modules left out for lack of gas run again when the run is resumed
+    if (journal && modules.length === planned.length) {
+      journal.markWalletComplete(walletAddress);
+    }
+    logger.success(`All operations completed for ${maskedAddress}`, walletAddress);
+    return 'completed';
+  } catch (error) {
+    logger.error(`Error running bot for ${maskedAddress}: ${error.message}`, walletAddress);
+    return 'failed';
+  }
+}
+
+module.exports = {
+  PIPELINE,
+  MODULES,
+  SECTIONS,
+  runBotForWallet
+};
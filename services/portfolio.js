@@ -0,0 +1,193 @@
+const fs = require('fs');
+const path = require('path');
+const { ethers } = require('ethers');
+const logger = require('../utils/logger');
+const { getVaultBalance, resolveDecimals } = require('../utils/wallet');
+const { renderTable, toCsv } = require('../utils/table');
+const { abis } = require('../constants/abis');
+const { createAccountProvider } = require('../utils/provider');
+const { getStakedBalance } = require('./stake');
+const { getLiquidityPositions, formatPosition } = require('./liquidity');
+
+/**
+ * Get a token balance, throwing instead of reporting zero when the call fails
+ * @param {string} tokenAddress - Token contract address
+ * @param {string} walletAddress - Wallet address
+ * @param {ethers.providers.Provider} provider - Provider
+ * @returns {Promise<ethers.BigNumber>} - Token balance
+ */
+async function getTokenBalanceStrict(tokenAddress, walletAddress, provider) {
+  const contract = new ethers.Contract(tokenAddress, abis.token, provider);
+  return contract.balanceOf(walletAddress);
+}
+
+/**
+ * Read everything a wallet holds: gas, tokens, vault balances, stake and liquidity
+ * @param {Object} config - Validated configuration
+ * @param {ethers.providers.Provider} provider - Provider
+ * @param {Object} account - Selected account
+ * @param {Map<string, number>} decimals - Decimals by token symbol
+ * @returns {Promise<Object>} - Portfolio entry; values that could not be read are null and listed in errors
+ */
+async function getWalletPortfolio(config, provider, account, decimals) {
+  const { index, address } = account;
+  const entry = { index, address, eth: null, tokens: {}, vaults: {}, staked: null, liquidity: null, errors: [] };
+
+  // Read each value on its own so one failing contract doesn't hide the rest
+  const read = async (label, reader) => {
+    try {
+      return await reader();
+    } catch (error) {
+      entry.errors.push(`${label}: ${error.message}`);
+      return null;
+    }
+  };
+
+  entry.eth = await read('ETH', async () => ethers.utils.formatEther(await provider.getBalance(address)));
+
+  for (const token of config.faucet.tokens) {
+    entry.tokens[token.symbol] = await read(token.symbol, async () =>
+      ethers.utils.formatUnits(await getTokenBalanceStrict(token.contract, address, provider), decimals.get(token.symbol)));
+  }
+
+  for (const vault of config.deposit.vaults) {
+    entry.vaults[vault.symbol] = await read(`${vault.symbol} vault`, async () =>
+      ethers.utils.formatUnits(await getVaultBalance(vault.contract, address, provider), decimals.get(vault.symbol)));
+  }
+
+  if (config.stake) {
+    entry.staked = await read('staked DXTR', async () =>
+      ethers.utils.formatUnits(await getStakedBalance(config.stake.contract, address), decimals.get('DXTR')));
+  }
+
+  if (config.liquidity) {
+    entry.liquidity = await read('liquidity', () => getLiquidityPositions(provider, config.liquidity.contract, address));
+  }
+
+  return entry;
+}
+
+/**
+ * Collect the portfolio of every selected wallet
+ * @param {Object} config - Validated configuration
+ * @param {Array<Object>} accounts - Selected accounts
+ * @returns {Promise<Array<Object>>} - One portfolio entry per account
+ */
+async function collectPortfolio(config, accounts) {
+  let decimals = null;
+
+  const entries = [];
+  for (const account of accounts) {
+    // Each wallet reads through its own proxy
+    const provider = await createAccountProvider(config.network, account.proxy);
+    if (!provider) {
+      logger.error(`Not reading wallet ${account.index} without its proxy`, account.address);
+      entries.push({ index: account.index, address: account.address, eth: null, tokens: {}, vaults: {}, staked: null, liquidity: null, errors: ['proxy could not be set up'] });
+      continue;
+    }
+
+    // Decimals are the same for every wallet, so resolve them once
+    if (!decimals) {
+      decimals = new Map();
+      for (const token of config.faucet.tokens) {
+        decimals.set(token.symbol, await resolveDecimals(token, provider));
+      }
+    }
+
+    const entry = await getWalletPortfolio(config, provider, account, decimals);
+    for (const error of entry.errors) {
+      logger.warn(`Failed to read ${error}`, account.address);
+    }
+    entries.push(entry);
+  }
+  return entries;
+}
+
+/**
+ * Flatten portfolio entries into table columns and rows
+ * @param {Object} config - Validated configuration
+ * @param {Array<Object>} entries - Portfolio entries
+ * @returns {{columns: Array<Object>, rows: Array<Object>}}
+ */
+function toRows(config, entries) {
+  const columns = [
+    { key: 'index', title: '#', align: 'right' },
+    { key: 'address', title: 'Wallet' },
+    { key: 'eth', title: 'ETH', align: 'right' },
+    ...config.faucet.tokens.map(token => ({ key: `token:${token.symbol}`, title: token.symbol, align: 'right' })),
+    ...config.deposit.vaults.map(vault => ({ key: `vault:${vault.symbol}`, title: `${vault.symbol} vault`, align: 'right' }))
+  ];
+  if (config.stake) {
+    columns.push({ key: 'staked', title: 'Staked DXTR', align: 'right' });
+  }
+  if (config.liquidity) {
+    columns.push({ key: 'liquidity', title: 'Liquidity' });
+  }
+
+  const rows = entries.map(entry => {
+    const row = { index: entry.index, address: entry.address, eth: entry.eth, staked: entry.staked };
+    for (const [symbol, value] of Object.entries(entry.tokens)) row[`token:${symbol}`] = value;
+    for (const [symbol, value] of Object.entries(entry.vaults)) row[`vault:${symbol}`] = value;
+    if (entry.liquidity) {
+      row.liquidity = entry.liquidity.length > 0 ? entry.liquidity.map(formatPosition).join('; ') : 'none';
+    }
+    return row;
+  });
+
+  return { columns, rows };
+}
+
+/**
+ * Round a decimal string for display
+ * @param {string|null} value - Decimal string
+ * @returns {string|null} - Value with at most 4 decimals
+ */
+function round(value) {
+  if (typeof value !== 'string' || !/^-?\d+(\.\d+)?$/.test(value)) return value;
+  const [whole, fraction = ''] = value.split('.');
+  const trimmed = fraction.slice(0, 4).replace(/0+$/, '');
+  return trimmed ? `${whole}.${trimmed}` : whole;
+}
+
+/**
+ * Render the portfolio as a terminal table
+ * @param {Object} config - Validated configuration
+ * @param {Array<Object>} entries - Portfolio entries
+ * @returns {string} - Table
+ */
+function renderPortfolio(config, entries) {
+  const { columns, rows } = toRows(config, entries);
+  const display = rows.map(row => {
+    const shown = { ...row, address: `${row.address.substring(0, 6)}...${row.address.substring(row.address.length - 4)}` };
+    for (const column of columns) {
+      if (column.align === 'right' && column.key !== 'index') shown[column.key] = round(row[column.key]);
+    }
+    return shown;
+  });
+  return renderTable(columns, display);
+}
+
+/**
+ * Write the portfolio to a CSV or JSON file
+ * @param {Object} config - Validated configuration
+ * @param {Array<Object>} entries - Portfolio entries
+ * @param {string} filePath - Output path
+ * @param {string} format - 'csv' or 'json'
+ */
+function exportPortfolio(config, entries, filePath, format) {
+  fs.mkdirSync(path.dirname(path.resolve(filePath)), { recursive: true });
+
+  if (format === 'json') {
+    fs.writeFileSync(filePath, JSON.stringify({ generatedAt: new Date().toISOString(), wallets: entries }, null, 2));
+  } else {
+    const { columns, rows } = toRows(config, entries);
+    fs.writeFileSync(filePath, toCsv(columns, rows));
+  }
+  logger.success(`Wrote ${format.toUpperCase()} portfolio of ${entries.length} wallet(s) to ${filePath}`);
+}
+
+module.exports = {
+  collectPortfolio,
+  renderPortfolio,
+  exportPortfolio
+};
@@ -1,6 +1,7 @@
 const axios = require('axios');
 const axiosRetry = require('axios-retry');
 const logger = require('../utils/logger');
+const { isDryRun } = require('../utils/simulate');
 
 // Configure axios-retry
 axiosRetry(axios, {
@@ -28,6 +29,12 @@ async function registerUser(wallet, proxyAgent = null) {
       return true;
     }
     
+    // Registration is an outbound write, so a dry run only reports it
+    if (isDryRun()) {
+      logger.info(`[DRY RUN] Would register wallet ${wallet.address.substring(0, 6)}...${wallet.address.substring(wallet.address.length - 4)}`, wallet.address);
+      return true;
+    }
+    
     logger.info(`Registering wallet ${wallet.address.substring(0, 6)}...${wallet.address.substring(wallet.address.length - 4)}`, wallet.address);
     
     const url = 'https://app.dextr.exchange/worker/api/users/registerByWallet';
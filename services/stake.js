@@ -1,64 +1,92 @@
 const { ethers } = require('ethers');
 const logger = require('../utils/logger');
-const { getGasPrice, estimateGas } = require('../utils/gas');
-const { randomDelay } = require('../utils/delay');
-const { getTokenBalance } = require('../utils/wallet');
+const { sendTransaction, logResult, failedResult, skippedResult } = require('../utils/transaction');
+const { encodeCall } = require('../constants/abis');
+const { resolveDecimals, getVaultBalance } = require('../utils/wallet');
+const { getRetryPolicy, withRetry } = require('../utils/retry');
+const { readJson, writeJson } = require('../utils/journal');
+const { isDryRun } = require('../utils/simulate');
+
+/**
+ * Get the DXTR token configuration
+ * @returns {Object|undefined} - DXTR entry of faucet.tokens
+ */
+function getDxtrConfig() {
+  const faucetTokens = global.config && global.config.faucet && global.config.faucet.tokens ?
+    global.config.faucet.tokens : [];
+  return faucetTokens.find(t => t.symbol === 'DXTR');
+}
+
+/**
+ * Get the path of the stake ledger
+ * @returns {string} - Path of the JSON file
+ */
+function getLedgerPath() {
+  return global.config && global.config.stake && global.config.stake.ledgerPath ?
+    global.config.stake.ledgerPath : './data/stakes.json';
+}
+
+/**
+ * Get the DXTR a wallet has staked. The staking contract has no confirmed view of a position, so the
+ * bot keeps its own ledger of the stakes and unstakes it saw confirmed.
+ * @param {string} contract - Staking contract address
+ * @param {string} walletAddress - Wallet address
+ * @returns {Promise<ethers.BigNumber>} - Staked amount
+ */
+async function getStakedBalance(contract, walletAddress) {
+  const data = readJson(getLedgerPath(), {});
+  return ethers.BigNumber.from(data[`${walletAddress.toLowerCase()}|${contract.toLowerCase()}`] || 0);
+}
+
+/**
+ * Add a confirmed stake (or subtract an unstake) to the ledger; dry runs leave it untouched
+ * @param {ethers.Wallet} wallet - Ethers wallet
+ * @param {string} contract - Staking contract address
+ * @param {ethers.BigNumber} delta - Staked amount, negative for an unstake
+ */
+function recordStake(wallet, contract, delta) {
+  if (isDryRun()) return;
+
+  // Read and write in one tick so concurrent wallets never overwrite each other
+  const data = readJson(getLedgerPath(), {});
+  const key = `${wallet.address.toLowerCase()}|${contract.toLowerCase()}`;
+  const staked = ethers.BigNumber.from(data[key] || 0).add(delta);
+  data[key] = (staked.isNegative() ? ethers.BigNumber.from(0) : staked).toString();
+  writeJson(getLedgerPath(), data);
+}
+
+/**
+ * Stake DXTR from the token vault
+ * @param {ethers.Wallet} wallet - Ethers wallet
+ * @param {Object} stakeConfig - Stake configuration
+ * @param {ethers.BigNumber} amount - Amount to stake
+ * @param {number} decimals - DXTR decimals
+ * @returns {Promise<Object>} - Transaction result
+ */
+async function stake(wallet, stakeConfig, amount, decimals) {
+  const { contract, tokenVault } = stakeConfig;
 
-// Fixed staking function that doesn't rely on balanceOf calls
-async function stakeTokens(wallet, stakeConfig, proxyAgent = null) {
-  const { contract, tokenVault, stakePercentage, maxRetries } = stakeConfig;
-  
   try {
-    // Find DXTR token config - safely access the global config
-    const faucetTokens = global.config && global.config.faucet && global.config.faucet.tokens ? 
-      global.config.faucet.tokens : [];
-    const dxtrConfig = faucetTokens.find(t => t.symbol === 'DXTR');
-    
-    if (!dxtrConfig) {
-      logger.error(`DXTR token configuration not found`, wallet.address);
-      return false;
-    }
-    
-    // Use a fixed amount to stake instead of relying on balance checks
-    // We'll stake 300 DXTR (as seen in your transaction logs)
-    const stakeAmount = ethers.utils.parseUnits("300", 18); // 300 DXTR
-    
-    logger.info(`Staking ${ethers.utils.formatUnits(stakeAmount, 18)} DXTR`, wallet.address);
-    
-    // Get gas price with higher priority
-    const gasPrice = await getGasPrice(wallet.provider, 1.5); // 1.5x multiplier
-    
-    // Construct raw transaction - method ID is 0x6e129ca1 for stakeDeposit(address,uint256,address)
-    const data = ethers.utils.hexConcat([
-      '0x6e129ca1', // Method ID for stakeDeposit(address,uint256,address)
-      ethers.utils.defaultAbiCoder.encode(
-        ['address', 'uint256', 'address'], 
-        [wallet.address, stakeAmount, tokenVault]
-      )
-    ]);
-    
+    logger.info(`Staking ${ethers.utils.formatUnits(amount, decimals)} DXTR`, wallet.address);
+
+    // Construct raw transaction
+    const data = encodeCall('staking', 'stakeDeposit', [wallet.address, amount, tokenVault]);
+
     // Send raw transaction
     const rawTx = {
       to: contract,
       data,
-      gasLimit: ethers.BigNumber.from(300000),
-      gasPrice
+      gasLimit: ethers.BigNumber.from(300000)
     };
-    
-    const tx = await wallet.sendTransaction(rawTx);
-    
-    logger.info(`Stake transaction sent: ${tx.hash}`, wallet.address);
-    
-    // Wait for transaction to be mined
-    const receipt = await tx.wait();
-    
-    if (receipt.status === 1) {
-      logger.success(`Staking successful`, wallet.address);
-      return true;
-    } else {
-      logger.error(`Staking failed`, wallet.address);
-      return false;
+
+    // Send raw transaction and wait for it to be mined
+    const result = await sendTransaction(wallet, rawTx, 'Stake', 'stake');
+    if (result.status === 'confirmed') {
+      recordStake(wallet, contract, amount);
     }
+
+    logResult(wallet, result, `Staking successful`, `Staking failed`);
+    return result;
   } catch (error) {
     logger.error(`Error staking tokens: ${error.message}`, wallet.address);
     // Log more details if available
@@ -68,63 +96,44 @@ async function stakeTokens(wallet, stakeConfig, proxyAgent = null) {
     if (error.receipt) {
       logger.debug(`Receipt details: ${JSON.stringify(error.receipt)}`, wallet.address);
     }
-    return false;
+    return failedResult(error);
   }
 }
 
 /**
- * Unstake tokens
+ * Unstake DXTR
  * @param {ethers.Wallet} wallet - Ethers wallet
  * @param {Object} stakeConfig - Stake configuration
- * @param {Object} proxyAgent - Proxy agent (optional)
- * @returns {Promise<boolean>} - Unstake success
+ * @param {ethers.BigNumber} amount - Amount to unstake
+ * @param {number} decimals - DXTR decimals
+ * @returns {Promise<Object>} - Transaction result
  */
-async function unstakeTokens(wallet, stakeConfig, proxyAgent = null) {
-  const { contract, unstakePercentage, maxRetries } = stakeConfig;
-  
+async function unstake(wallet, stakeConfig, amount, decimals) {
+  const { contract } = stakeConfig;
+
   try {
-    // Use a fixed amount for unstaking to avoid balance check issues
-    const unstakeAmount = ethers.utils.parseUnits("50", 18); // 50 DXTR
-    
-    logger.info(`Unstaking ${ethers.utils.formatUnits(unstakeAmount, 18)} DXTR`, wallet.address);
-    
-    // Get gas price with higher priority
-    const gasPrice = await getGasPrice(wallet.provider, 1.5); // 1.5x multiplier
-    
-    // Construct raw transaction - method ID is 0x2e17de78 for unstake(uint256)
-    const data = ethers.utils.hexConcat([
-      '0x2e17de78', // Method ID for unstake(uint256)
-      ethers.utils.defaultAbiCoder.encode(['uint256'], [unstakeAmount])
-    ]);
-    
+    logger.info(`Unstaking ${ethers.utils.formatUnits(amount, decimals)} DXTR`, wallet.address);
+
+    // Construct raw transaction
+    const data = encodeCall('staking', 'unstake', [amount]);
+
     // Send raw transaction
     const rawTx = {
       to: contract,
       data,
-      gasLimit: ethers.BigNumber.from(200000),
-      gasPrice
+      gasLimit: ethers.BigNumber.from(200000)
     };
-    
-    const tx = await wallet.sendTransaction(rawTx);
-    
-    logger.info(`Unstake transaction sent: ${tx.hash}`, wallet.address);
-    
-    // Wait for transaction to be mined
-    const receipt = await tx.wait();
-    
-    if (receipt.status === 1) {
-      logger.success(`Unstaking successful`, wallet.address);
-      return true;
-    } else {
-      logger.error(`Unstaking failed`, wallet.address);
-      return false;
+
+    // Send raw transaction and wait for it to be mined
+    const result = await sendTransaction(wallet, rawTx, 'Unstake', 'unstake');
+    if (result.status === 'confirmed') {
+      recordStake(wallet, contract, amount.mul(-1));
     }
+
+    logResult(wallet, result, `Unstaking successful`, `Unstaking failed`);
+    return result;
   } catch (error) {
     logger.error(`Error unstaking tokens: ${error.message}`, wallet.address);
-    // If the error contains "No staked balance", it's likely the wallet hasn't staked yet
-    if (error.message.includes("reverted") || error.message.includes("balance")) {
-      logger.warn(`Likely no staked tokens to unstake`, wallet.address);
-    }
     // Log more details if available
     if (error.transaction) {
       logger.debug(`Transaction details: ${JSON.stringify(error.transaction)}`, wallet.address);
@@ -132,18 +141,104 @@ async function unstakeTokens(wallet, stakeConfig, proxyAgent = null) {
     if (error.receipt) {
       logger.debug(`Receipt details: ${JSON.stringify(error.receipt)}`, wallet.address);
     }
-    return false;
+    return failedResult(error);
+  }
+}
+
+/**
+ * Stake stakePercentage of the wallet's DXTR vault balance
+ * @param {ethers.Wallet} wallet - Ethers wallet
+ * @param {Object} stakeConfig - Stake configuration
+ * @param {Object} proxyAgent - Proxy agent (optional)
+ * @returns {Promise<Object>} - Transaction result
+ */
+async function stakeTokens(wallet, stakeConfig, proxyAgent = null) {
+  const { tokenVault, stakePercentage } = stakeConfig;
+
+  const dxtrConfig = getDxtrConfig();
+  if (!dxtrConfig) {
+    logger.error(`DXTR token configuration not found`, wallet.address);
+    return failedResult(new Error('DXTR token configuration not found'));
+  }
+
+  let balance;
+  let stakeAmount;
+  try {
+    balance = await getVaultBalance(tokenVault, wallet.address, wallet.provider);
+    stakeAmount = balance.mul(Math.round(stakePercentage * 100)).div(10000);
+  } catch (error) {
+    logger.error(`Failed to size DXTR stake: ${error.message}`, wallet.address);
+    return failedResult(error);
+  }
+
+  if (stakeAmount.isZero()) {
+    logger.warn(`No DXTR in the vault to stake`, wallet.address);
+    return skippedResult('no DXTR in vault');
+  }
+
+  const decimals = await resolveDecimals(dxtrConfig, wallet.provider);
+  logger.info(`Staking ${stakePercentage}% of ${ethers.utils.formatUnits(balance, decimals)} DXTR in the vault`, wallet.address);
+
+  return withRetry(
+    () => stake(wallet, stakeConfig, stakeAmount, decimals),
+    getRetryPolicy(stakeConfig),
+    'stake DXTR',
+    wallet.address
+  );
+}
+
+/**
+ * Unstake unstakePercentage of the wallet's staked DXTR
+ * @param {ethers.Wallet} wallet - Ethers wallet
+ * @param {Object} stakeConfig - Stake configuration
+ * @param {Object} proxyAgent - Proxy agent (optional)
+ * @returns {Promise<Object>} - Transaction result
+ */
+async function unstakeTokens(wallet, stakeConfig, proxyAgent = null) {
+  const { contract, unstakePercentage } = stakeConfig;
+  const dxtrConfig = getDxtrConfig();
+
+  let staked;
+  let unstakeAmount;
+  try {
+    staked = await getStakedBalance(contract, wallet.address);
+    unstakeAmount = staked.mul(Math.round(unstakePercentage * 100)).div(10000);
+  } catch (error) {
+    logger.error(`Failed to size DXTR unstake: ${error.message}`, wallet.address);
+    return failedResult(error);
   }
+
+  if (staked.isZero()) {
+    logger.info(`No stake recorded for this wallet, skipping unstake`, wallet.address);
+    return skippedResult('nothing staked');
+  }
+
+  if (unstakeAmount.isZero()) {
+    logger.info(`Staked DXTR too small to unstake ${unstakePercentage}%, skipping unstake`, wallet.address);
+    return skippedResult('unstake amount rounds to zero');
+  }
+
+  const decimals = dxtrConfig ? await resolveDecimals(dxtrConfig, wallet.provider) : 18;
+  logger.info(`Unstaking ${unstakePercentage}% of ${ethers.utils.formatUnits(staked, decimals)} staked DXTR`, wallet.address);
+
+  return withRetry(
+    () => unstake(wallet, stakeConfig, unstakeAmount, decimals),
+    getRetryPolicy(stakeConfig),
+    'unstake DXTR',
+    wallet.address
+  );
 }
 
 /**
- * Check if user has staked tokens
- * This is a best-effort function that may not be accurate if contract calls fail
+ * Check if the wallet has staked tokens
+ * @param {ethers.Wallet} wallet - Ethers wallet
+ * @param {string} contract - Staking contract address
+ * @returns {Promise<boolean>} - True if the staked balance is not zero
  */
 async function hasStakedTokens(wallet, contract) {
   try {
-    // This is generally unreliable on this network, so we'll assume they have staked tokens
-    return true;
+    const staked = await getStakedBalance(contract, wallet.address);
+    return !staked.isZero();
   } catch (error) {
     logger.warn(`Failed to check staked tokens: ${error.message}`, wallet.address);
     return false;
@@ -153,5 +248,6 @@ async function hasStakedTokens(wallet, contract) {
 module.exports = {
   stakeTokens,
   unstakeTokens,
-  hasStakedTokens
-};
\ No newline at end of file
+  hasStakedTokens,
+  getStakedBalance
+};
@@ -1,66 +1,141 @@
 const { ethers } = require('ethers');
 const logger = require('../utils/logger');
-const { getGasPrice, estimateGas } = require('../utils/gas');
 const { randomDelay } = require('../utils/delay');
-const { getTokenBalance } = require('../utils/wallet');
+const { getVaultBalance } = require('../utils/wallet');
+const { sendTransaction, logResult, failedResult, skippedResult, noLiquidityResult } = require('../utils/transaction');
+const { encodeCall } = require('../constants/abis');
+const { getRetryPolicy, withRetry } = require('../utils/retry');
+const { runStep } = require('../utils/journal');
+const { runLimitOrders } = require('./orders');
+const { PRICE_DECIMALS, getTradeToken, getPairQuote, depthWithin, averageFillPrice, toBps, toQuoteAmount, toBaseAmount } = require('./market');
 
-// ABI for trading functions
-const TRADING_ABI = [
-  'function buyMarket(uint256 baseAmount) returns (bool)',
-  'function sellMarket(uint256 baseAmount) returns (bool)'
-];
+/**
+ * Smaller of two amounts
+ * @param {ethers.BigNumber} a - Amount
+ * @param {ethers.BigNumber} b - Amount
+ * @returns {ethers.BigNumber}
+ */
+function minAmount(a, b) {
+  return a.lt(b) ? a : b;
+}
+
+/**
+ * Pick a random order size, capped by what the vault balance can fill
+ * @param {number} min - Configured minimum, in tokens
+ * @param {number} max - Configured maximum, in tokens
+ * @param {ethers.BigNumber} available - Largest fillable amount in token units
+ * @param {number} decimals - Token decimals
+ * @returns {ethers.BigNumber} - Order size in token units
+ */
+function pickAmount(min, max, available, decimals) {
+  const minUnits = ethers.utils.parseUnits(min.toString(), decimals);
+  let maxUnits = ethers.utils.parseUnits(max.toString(), decimals);
+
+  // The configured range can't be filled, so trade whatever the balance allows
+  if (available.lt(minUnits)) {
+    return available;
+  }
+  if (available.lt(maxUnits)) {
+    maxUnits = available;
+  }
+  return minUnits.add(maxUnits.sub(minUnits).mul(Math.floor(Math.random() * 1e6)).div(1e6));
+}
+
+/**
+ * Check the expected execution price against mid price
+ * @param {ethers.BigNumber} price - Expected execution price
+ * @param {ethers.BigNumber} mid - Mid price
+ * @param {number} slippage - Tolerance in percent
+ * @returns {number|null} - Deviation in percent if outside the tolerance, otherwise null
+ */
+function exceedsSlippage(price, mid, slippage) {
+  const deviationBps = price.sub(mid).abs().mul(10000).div(mid);
+  return deviationBps.gt(toBps(slippage)) ? deviationBps.toNumber() / 100 : null;
+}
+
+/**
+ * Get the slippage tolerance of a pair
+ * @param {Object} pairConfig - Trading pair configuration
+ * @returns {number} - Tolerance in percent
+ */
+function getSlippage(pairConfig) {
+  if (pairConfig.slippage !== undefined) return pairConfig.slippage;
+  return global.config && global.config.trade ? global.config.trade.slippage : 1;
+}
 
 /**
  * Execute market buy
  * @param {ethers.Wallet} wallet - Ethers wallet
  * @param {Object} pairConfig - Trading pair configuration
- * @returns {Promise<boolean>} - Buy success
+ * @returns {Promise<Object>} - Transaction result
  */
 async function executeBuy(wallet, pairConfig) {
-  const { name, contract, baseToken, minBuy, maxBuy } = pairConfig;
+  const { name, contract, baseToken, quoteToken, minBuy, maxBuy } = pairConfig;
+  const slippage = getSlippage(pairConfig);
   
   try {
-    // Calculate random amount between min and max
-    const amount = minBuy + (Math.random() * (maxBuy - minBuy));
-    const amountInWei = ethers.utils.parseUnits(amount.toString(), 18);
+    const base = await getTradeToken(baseToken, wallet.provider);
+    const quote = await getTradeToken(quoteToken, wallet.provider);
     
-    logger.info(`Buying ${amount.toFixed(4)} ${baseToken} on ${name} pair`, wallet.address);
-    
-    // Get gas price
-    const gasPrice = await getGasPrice(wallet.provider);
+    const book = await getPairQuote(wallet.provider, contract);
+    let amount;
+    if (!book) {
+      // Without a readable book, trade the configured range as before prices were checked
+      logger.warn(`No readable order book on ${name}, buying without a price check`, wallet.address);
+      amount = pickAmount(minBuy, maxBuy, ethers.constants.MaxUint256, base.decimals);
+      logger.info(`Buying ${ethers.utils.formatUnits(amount, base.decimals)} ${baseToken} on ${name} pair`, wallet.address);
+    } else {
+      if (book.asks.length === 0) {
+        logger.warn(`No asks on ${name}, nothing to buy`, wallet.address);
+        return noLiquidityResult(`no asks on ${name}`);
+      }
+      
+      // Only the asks within the tolerance around mid may fill the order
+      const limit = book.mid.mul(10000 + toBps(slippage)).div(10000);
+      const depth = depthWithin(book.asks, limit, true);
+      if (depth.isZero()) {
+        logger.warn(`Refusing buy on ${name}: best ask ${ethers.utils.formatUnits(book.ask, PRICE_DECIMALS)} is more than ${slippage}% above mid`, wallet.address);
+        return skippedResult(`buy price outside slippage tolerance on ${name}`);
+      }
+      
+      // Size the order from the quote balance at the worst tolerated price, capped by that depth
+      const quoteBalance = await getVaultBalance(quote.vault, wallet.address, wallet.provider);
+      const affordable = toBaseAmount(quoteBalance, limit, base, quote);
+      amount = pickAmount(minBuy, maxBuy, minAmount(affordable, depth), base.decimals);
+      if (amount.isZero()) {
+        logger.warn(`Not enough ${quoteToken} in the vault to buy on ${name} (${ethers.utils.formatUnits(quoteBalance, quote.decimals)})`, wallet.address);
+        return skippedResult(`insufficient ${quoteToken} vault balance`);
+      }
+      
+      const average = averageFillPrice(book.asks, amount);
+      const deviation = exceedsSlippage(average, book.mid, slippage);
+      if (deviation !== null) {
+        logger.warn(`Refusing buy on ${name}: it would fill at ${ethers.utils.formatUnits(average, PRICE_DECIMALS)}, ${deviation}% above mid (tolerance ${slippage}%)`, wallet.address);
+        return skippedResult(`buy price outside slippage tolerance on ${name}`);
+      }
+      
+      const cost = toQuoteAmount(amount, average, base, quote);
+      logger.info(`Buying ${ethers.utils.formatUnits(amount, base.decimals)} ${baseToken} on ${name} pair at ~${ethers.utils.formatUnits(average, PRICE_DECIMALS)} (${ethers.utils.formatUnits(cost, quote.decimals)} ${quoteToken})`, wallet.address);
+    }
     
     // Use raw transaction approach
-    // buyMarket function selector: 0xbc03f0e1
-    const data = ethers.utils.hexConcat([
-      '0xbc03f0e1', // Method ID for buyMarket(uint256)
-      ethers.utils.defaultAbiCoder.encode(['uint256'], [amountInWei])
-    ]);
+    const data = encodeCall('pair', 'placeMarketBuyOrder', [amount]);
     
     // Send raw transaction
     const rawTx = {
       to: contract,
       data,
-      gasLimit: ethers.BigNumber.from(600000),
-      gasPrice
+      gasLimit: ethers.BigNumber.from(600000)
     };
     
-    const tx = await wallet.sendTransaction(rawTx);
+    // Send raw transaction and wait for it to be mined
+    const result = await sendTransaction(wallet, rawTx, `Buy on ${name}`, 'trade');
     
-    logger.info(`Buy transaction sent: ${tx.hash}`, wallet.address);
-    
-    // Wait for transaction to be mined
-    const receipt = await tx.wait();
-    
-    if (receipt.status === 1) {
-      logger.success(`Buy successful for ${name}`, wallet.address);
-      return true;
-    } else {
-      logger.error(`Buy failed for ${name}`, wallet.address);
-      return false;
-    }
+    logResult(wallet, result, `Buy successful for ${name}`, `Buy failed for ${name}`);
+    return result;
   } catch (error) {
     logger.error(`Error executing buy on ${name}: ${error.message}`, wallet.address);
-    return false;
+    return failedResult(error);
   }
 }
 
@@ -68,53 +143,78 @@ async function executeBuy(wallet, pairConfig) {
  * Execute market sell
  * @param {ethers.Wallet} wallet - Ethers wallet
  * @param {Object} pairConfig - Trading pair configuration
- * @returns {Promise<boolean>} - Sell success
+ * @returns {Promise<Object>} - Transaction result
  */
 async function executeSell(wallet, pairConfig) {
-  const { name, contract, baseToken, minSell, maxSell } = pairConfig;
+  const { name, contract, baseToken, quoteToken, minSell, maxSell } = pairConfig;
+  const slippage = getSlippage(pairConfig);
   
   try {
-    // Calculate random amount between min and max
-    const amount = minSell + (Math.random() * (maxSell - minSell));
-    const amountInWei = ethers.utils.parseUnits(amount.toString(), 18);
+    const base = await getTradeToken(baseToken, wallet.provider);
+    const quote = await getTradeToken(quoteToken, wallet.provider);
     
-    logger.info(`Selling ${amount.toFixed(4)} ${baseToken} on ${name} pair`, wallet.address);
-    
-    // Get gas price
-    const gasPrice = await getGasPrice(wallet.provider);
+    const book = await getPairQuote(wallet.provider, contract);
+    const baseBalance = await getVaultBalance(base.vault, wallet.address, wallet.provider);
+    let amount;
+    if (!book) {
+      // Without a readable book, trade the configured range as before prices were checked
+      logger.warn(`No readable order book on ${name}, selling without a price check`, wallet.address);
+      amount = pickAmount(minSell, maxSell, baseBalance, base.decimals);
+      if (amount.isZero()) {
+        logger.warn(`No ${baseToken} in the vault to sell on ${name}`, wallet.address);
+        return skippedResult(`insufficient ${baseToken} vault balance`);
+      }
+      logger.info(`Selling ${ethers.utils.formatUnits(amount, base.decimals)} ${baseToken} on ${name} pair`, wallet.address);
+    } else {
+      if (book.bids.length === 0) {
+        logger.warn(`No bids on ${name}, nothing to sell into`, wallet.address);
+        return noLiquidityResult(`no bids on ${name}`);
+      }
+      
+      // Only the bids within the tolerance around mid may fill the order
+      const limit = book.mid.mul(10000 - toBps(slippage)).div(10000);
+      const depth = depthWithin(book.bids, limit, false);
+      if (depth.isZero()) {
+        logger.warn(`Refusing sell on ${name}: best bid ${ethers.utils.formatUnits(book.bid, PRICE_DECIMALS)} is more than ${slippage}% below mid`, wallet.address);
+        return skippedResult(`sell price outside slippage tolerance on ${name}`);
+      }
+      
+      // Size the order from the base balance, capped by that depth
+      amount = pickAmount(minSell, maxSell, minAmount(baseBalance, depth), base.decimals);
+      if (amount.isZero()) {
+        logger.warn(`No ${baseToken} in the vault to sell on ${name}`, wallet.address);
+        return skippedResult(`insufficient ${baseToken} vault balance`);
+      }
+      
+      const average = averageFillPrice(book.bids, amount);
+      const deviation = exceedsSlippage(average, book.mid, slippage);
+      if (deviation !== null) {
+        logger.warn(`Refusing sell on ${name}: it would fill at ${ethers.utils.formatUnits(average, PRICE_DECIMALS)}, ${deviation}% below mid (tolerance ${slippage}%)`, wallet.address);
+        return skippedResult(`sell price outside slippage tolerance on ${name}`);
+      }
+      
+      const proceeds = toQuoteAmount(amount, average, base, quote);
+      logger.info(`Selling ${ethers.utils.formatUnits(amount, base.decimals)} ${baseToken} on ${name} pair at ~${ethers.utils.formatUnits(average, PRICE_DECIMALS)} (${ethers.utils.formatUnits(proceeds, quote.decimals)} ${quoteToken})`, wallet.address);
+    }
     
     // Use raw transaction approach
-    // sellMarket function selector: 0x51d5d0da
-    const data = ethers.utils.hexConcat([
-      '0x51d5d0da', // Method ID for sellMarket(uint256)
-      ethers.utils.defaultAbiCoder.encode(['uint256'], [amountInWei])
-    ]);
+    const data = encodeCall('pair', 'placeMarketSellOrder', [amount]);
     
     // Send raw transaction
     const rawTx = {
       to: contract,
       data,
-      gasLimit: ethers.BigNumber.from(600000),
-      gasPrice
+      gasLimit: ethers.BigNumber.from(600000)
     };
     
-    const tx = await wallet.sendTransaction(rawTx);
-    
-    logger.info(`Sell transaction sent: ${tx.hash}`, wallet.address);
+    // Send raw transaction and wait for it to be mined
+    const result = await sendTransaction(wallet, rawTx, `Sell on ${name}`, 'trade');
     
-    // Wait for transaction to be mined
-    const receipt = await tx.wait();
-    
-    if (receipt.status === 1) {
-      logger.success(`Sell successful for ${name}`, wallet.address);
-      return true;
-    } else {
-      logger.error(`Sell failed for ${name}`, wallet.address);
-      return false;
-    }
+    logResult(wallet, result, `Sell successful for ${name}`, `Sell failed for ${name}`);
+    return result;
   } catch (error) {
     logger.error(`Error executing sell on ${name}: ${error.message}`, wallet.address);
-    return false;
+    return failedResult(error);
   }
 }
 
@@ -123,52 +223,40 @@ async function executeSell(wallet, pairConfig) {
  * @param {ethers.Wallet} wallet - Ethers wallet
  * @param {Object} tradeConfig - Trading configuration
  * @param {Object} proxyAgent - Proxy agent (optional)
+ * @param {Object} steps - Journal step scope (optional)
  * @returns {Promise<boolean>} - Overall success
  */
-async function executeTrades(wallet, tradeConfig, proxyAgent = null) {
-  const { pairs, maxRetries, delayMin, delayMax } = tradeConfig;
+async function executeTrades(wallet, tradeConfig, proxyAgent = null, steps = null) {
+  const { pairs, delayMin, delayMax } = tradeConfig;
+  const policy = getRetryPolicy(tradeConfig);
   let overallSuccess = true;
   
   for (const pair of pairs) {
-    let buySuccess = false;
-    let sellSuccess = false;
-    let retries = 0;
-    
-    // Execute buy
-    while (!buySuccess && retries < maxRetries) {
-      if (retries > 0) {
-        logger.info(`Retrying buy on ${pair.name} (${retries}/${maxRetries})`, wallet.address);
-        await randomDelay(2, 5);
+    // Limit-mode pairs quote the book instead of taking from it
+    if (pair.mode === 'limit') {
+      if (!await runLimitOrders(wallet, pair, policy, steps)) {
+        overallSuccess = false;
       }
-      
-      buySuccess = await executeBuy(wallet, pair);
-      retries++;
+      await randomDelay(delayMin, delayMax);
+      continue;
     }
     
-    if (!buySuccess) {
-      logger.error(`Failed to buy on ${pair.name} after ${maxRetries} attempts`, wallet.address);
+    // Execute buy
+    const buyResult = await runStep(steps, `${pair.name}:buy`, () =>
+      withRetry(() => executeBuy(wallet, pair), policy, `buy on ${pair.name}`, wallet.address));
+    
+    if (!buyResult.success) {
       overallSuccess = false;
     }
     
     // Add delay between buy and sell
     await randomDelay(delayMin, delayMax);
     
-    // Reset retries for sell
-    retries = 0;
-    
     // Execute sell
-    while (!sellSuccess && retries < maxRetries) {
-      if (retries > 0) {
-        logger.info(`Retrying sell on ${pair.name} (${retries}/${maxRetries})`, wallet.address);
-        await randomDelay(2, 5);
-      }
-      
-      sellSuccess = await executeSell(wallet, pair);
-      retries++;
-    }
+    const sellResult = await runStep(steps, `${pair.name}:sell`, () =>
+      withRetry(() => executeSell(wallet, pair), policy, `sell on ${pair.name}`, wallet.address));
     
-    if (!sellSuccess) {
-      logger.error(`Failed to sell on ${pair.name} after ${maxRetries} attempts`, wallet.address);
+    if (!sellResult.success) {
       overallSuccess = false;
     }
     
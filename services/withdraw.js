@@ -0,0 +1,148 @@
+const { ethers } = require('ethers');
+const logger = require('../utils/logger');
+const { randomDelay } = require('../utils/delay');
+const { getTokenBalance, getVaultBalance, resolveDecimals } = require('../utils/wallet');
+const { sendTransaction, logResult, failedResult, skippedResult } = require('../utils/transaction');
+const { encodeCall } = require('../constants/abis');
+const { getRetryPolicy, withRetry } = require('../utils/retry');
+const { runStep } = require('../utils/journal');
+const { requireFunctions } = require('./contracts');
+
+/**
+ * Work out how much to withdraw from a vault balance
+ * @param {Object} withdrawConfig - Withdraw configuration
+ * @param {string} symbol - Token symbol
+ * @param {ethers.BigNumber} vaultBalance - Balance held in the vault
+ * @param {number} decimals - Token decimals
+ * @returns {ethers.BigNumber} - Amount to withdraw, never more than the vault balance
+ */
+function getWithdrawAmount(withdrawConfig, symbol, vaultBalance, decimals) {
+  const { mode, percentage, amounts } = withdrawConfig;
+
+  if (mode === 'all') {
+    return vaultBalance;
+  }
+  if (mode === 'amount') {
+    if (amounts[symbol] === undefined) {
+      return ethers.BigNumber.from(0);
+    }
+    const amount = ethers.utils.parseUnits(amounts[symbol].toString(), decimals);
+    return amount.gt(vaultBalance) ? vaultBalance : amount;
+  }
+  return vaultBalance.mul(Math.round(percentage * 100)).div(10000);
+}
+
+/**
+ * Withdraw tokens from a vault and check they reached the wallet
+ * @param {ethers.Wallet} wallet - Ethers wallet
+ * @param {string} tokenAddress - Token contract address
+ * @param {string} vaultAddress - Vault contract address
+ * @param {ethers.BigNumber} amount - Amount to withdraw
+ * @param {string} symbol - Token symbol for logging
+ * @param {number} decimals - Token decimals
+ * @returns {Promise<Object>} - Transaction result
+ */
+async function withdrawToken(wallet, tokenAddress, vaultAddress, amount, symbol, decimals) {
+  try {
+    logger.info(`Withdrawing ${ethers.utils.formatUnits(amount, decimals)} ${symbol} from vault`, wallet.address);
+
+    const initialBalance = await getTokenBalance(tokenAddress, wallet.address, wallet.provider);
+
+    // Create raw transaction
+    const rawTx = {
+      to: vaultAddress,
+      data: encodeCall('vault', 'withdraw', [amount]),
+      gasLimit: ethers.BigNumber.from(300000)
+    };
+
+    // Send raw transaction and wait for it to be mined
+    const result = await sendTransaction(wallet, rawTx, `${symbol} withdrawal`, 'withdraw');
+
+    if (result.status !== 'confirmed') {
+      logResult(wallet, result, `${symbol} withdrawal successful`, `${symbol} withdrawal failed`);
+      return result;
+    }
+
+    // The withdrawal is mined either way, so a failed check only warns
+    const finalBalance = await getTokenBalance(tokenAddress, wallet.address, wallet.provider);
+    const received = finalBalance.sub(initialBalance);
+    if (received.eq(amount)) {
+      logger.success(`${symbol} withdrawal successful`, wallet.address);
+    } else {
+      logger.warn(`${symbol} withdrawal returned ${ethers.utils.formatUnits(received, decimals)} instead of ${ethers.utils.formatUnits(amount, decimals)}`, wallet.address);
+    }
+    return { ...result, received };
+  } catch (error) {
+    logger.error(`Error withdrawing ${symbol}: ${error.message}`, wallet.address);
+    if (error.transaction) {
+      logger.debug(`Transaction details: ${JSON.stringify(error.transaction)}`, wallet.address);
+    }
+    return failedResult(error);
+  }
+}
+
+/**
+ * Withdraw tokens from every deposit vault based on configuration
+ * @param {ethers.Wallet} wallet - Ethers wallet
+ * @param {Object} withdrawConfig - Withdraw configuration
+ * @param {Object} proxyAgent - Proxy agent (optional)
+ * @param {Object} steps - Journal step scope (optional)
+ * @returns {Promise<boolean>} - Overall success
+ */
+async function withdrawTokens(wallet, withdrawConfig, proxyAgent = null, steps = null) {
+  const policy = getRetryPolicy(withdrawConfig);
+  const faucetTokens = global.config && global.config.faucet ? global.config.faucet.tokens : [];
+  const vaults = (global.config && global.config.deposit ? global.config.deposit.vaults : [])
+    .filter(vault => !withdrawConfig.symbols || withdrawConfig.symbols.includes(vault.symbol));
+  let overallSuccess = true;
+
+  for (const vault of vaults) {
+    const tokenConfig = faucetTokens.find(t => t.symbol === vault.symbol);
+    if (!tokenConfig) {
+      logger.warn(`No matching token found for vault ${vault.symbol}`, wallet.address);
+      continue;
+    }
+
+    const result = await runStep(steps, vault.symbol, async () => {
+      let vaultBalance;
+      let decimals;
+      try {
+        await requireFunctions(wallet.provider, 'vault', vault.contract, ['withdraw', 'balanceOf']);
+        vaultBalance = await getVaultBalance(vault.contract, wallet.address, wallet.provider);
+        decimals = await resolveDecimals(tokenConfig, wallet.provider);
+      } catch (error) {
+        logger.error(`Cannot withdraw from the ${vault.symbol} vault: ${error.message}`, wallet.address);
+        return failedResult(error);
+      }
+
+      const amount = getWithdrawAmount(withdrawConfig, vault.symbol, vaultBalance, decimals);
+      if (amount.isZero()) {
+        logger.info(`Nothing to withdraw from the ${vault.symbol} vault`, wallet.address);
+        return skippedResult(`nothing to withdraw from ${vault.symbol} vault`);
+      }
+
+      return withRetry(
+        () => withdrawToken(wallet, tokenConfig.contract, vault.contract, amount, vault.symbol, decimals),
+        policy,
+        `withdraw ${vault.symbol}`,
+        wallet.address
+      );
+    });
+
+    if (!result.success) {
+      overallSuccess = false;
+    }
+
+    // Add delay between tokens
+    if (result.status !== 'skipped' && result.status !== 'journaled') {
+      await randomDelay(withdrawConfig.delayMin, withdrawConfig.delayMax);
+    }
+  }
+
+  return overallSuccess;
+}
+
+module.exports = {
+  withdrawToken,
+  withdrawTokens
+};
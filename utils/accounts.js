@@ -0,0 +1,139 @@
+const fs = require('fs');
+const { ethers } = require('ethers');
+const logger = require('./logger');
+const { getPassphrase, loadKeystore } = require('./keystore');
+const { parseProxy } = require('./proxy');
+
+/**
+ * Read a line-based list file, skipping blank lines and # comments
+ * @param {string} filePath - Path of the file
+ * @returns {Array<{line: number, value: string}>} - Non-empty lines with their line number
+ */
+function readListEntries(filePath) {
+  return fs.readFileSync(filePath, 'utf8')
+    .split('\n')
+    .map((line, index) => ({ line: index + 1, value: line.trim() }))
+    .filter(({ value }) => value && !value.startsWith('#'));
+}
+
+/**
+ * Read a line-based list file, skipping blank lines and # comments
+ * @param {string} filePath - Path of the file
+ * @returns {Array<string>} - Non-empty lines
+ */
+function readListFile(filePath) {
+  return readListEntries(filePath).map(({ value }) => value);
+}
+
+/**
+ * Load private keys from a file, one per line
+ * @param {string} filePath - Path of the private key file
+ * @returns {Array<string>} - Private keys
+ * @throws {Error} - If the file does not exist or cannot be read
+ */
+function loadPrivateKeys(filePath) {
+  if (!fs.existsSync(filePath)) {
+    throw new Error(`Private key file not found: ${filePath}`);
+  }
+  return readListFile(filePath);
+}
+
+/**
+ * Load the private keys of the bot section. The plaintext key file is used when bot.allowPlaintextKeys
+ * opts in, even if bot.keystorePath is set; otherwise the keys come from the keystore.
+ * @param {Object} botConfig - bot section of the configuration
+ * @returns {Promise<Array<string>>} - Private keys
+ * @throws {Error} - If no key source is usable
+ */
+async function loadWalletKeys(botConfig) {
+  const { keystorePath, privateKeyPath, allowPlaintextKeys, passphraseEnv } = botConfig;
+
+  if (allowPlaintextKeys && privateKeyPath) {
+    logger.warn(`Using plaintext private keys from ${privateKeyPath}`);
+    return loadPrivateKeys(privateKeyPath);
+  }
+  if (keystorePath) {
+    return loadKeystore(keystorePath, getPassphrase(passphraseEnv));
+  }
+
+  throw new Error(`Plaintext keys in ${privateKeyPath} are disabled: run "encrypt-keys" and set bot.keystorePath, or set bot.allowPlaintextKeys to true`);
+}
+
+/**
+ * Load and validate proxies from a file, one per line
+ * @param {string} filePath - Path of the proxy file
+ * @returns {Array<string>} - Proxy URLs, empty if the file is missing
+ * @throws {Error} - Listing every malformed line, since skipping one would shift the wallet pairing
+ */
+function loadProxies(filePath) {
+  if (!fs.existsSync(filePath)) {
+    logger.warn(`Proxy file not found: ${filePath}`);
+    logger.warn('Running without proxies');
+    return [];
+  }
+
+  const problems = [];
+  const proxies = readListEntries(filePath).map(({ line, value }) => {
+    try {
+      return parseProxy(value);
+    } catch (error) {
+      problems.push(`line ${line}: ${error.message}`);
+      return null;
+    }
+  });
+
+  if (problems.length > 0) {
+    throw new Error(`${problems.length} malformed proxy line(s) in ${filePath}:\n  ${problems.join('\n  ')}`);
+  }
+  return proxies;
+}
+
+/**
+ * Pair private keys with proxies and optionally narrow them down to one wallet
+ * @param {Array<string>} privateKeys - Private keys in file order
+ * @param {Array<string>} proxies - Proxies in file order
+ * @param {string} [selector] - Zero-based wallet index or wallet address
+ * @returns {Array<{index: number, privateKey: string, proxy: string|null, address: string}>} - Selected accounts
+ * @throws {Error} - If the selector matches no wallet
+ */
+function selectAccounts(privateKeys, proxies, selector = null) {
+  const accounts = privateKeys.map((privateKey, index) => {
+    let address;
+    try {
+      address = new ethers.Wallet(privateKey).address;
+    } catch (error) {
+      throw new Error(`Invalid private key for wallet ${index}: ${error.reason || error.message}`);
+    }
+    return {
+      index,
+      privateKey,
+      proxy: index < proxies.length ? proxies[index] : null,
+      address
+    };
+  });
+
+  if (selector === null || selector === undefined) {
+    return accounts;
+  }
+
+  if (/^\d+$/.test(selector)) {
+    const account = accounts[Number(selector)];
+    if (!account) {
+      throw new Error(`Wallet index ${selector} is out of range (0-${accounts.length - 1})`);
+    }
+    return [account];
+  }
+
+  const account = accounts.find(a => a.address.toLowerCase() === selector.toLowerCase());
+  if (!account) {
+    throw new Error(`Wallet ${selector} is not among the configured keys`);
+  }
+  return [account];
+}
+
+module.exports = {
+  loadPrivateKeys,
+  loadWalletKeys,
+  loadProxies,
+  selectAccounts
+};
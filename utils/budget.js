@@ -0,0 +1,92 @@
+const { ethers } = require('ethers');
+const logger = require('./logger');
+const { getContext } = require('./context');
+
+/**
+ * Parse an ETH amount from config
+ * @param {number|null} eth - Amount in ETH, null for no limit
+ * @returns {ethers.BigNumber|null} - Amount in wei
+ */
+function toWei(eth) {
+  return eth === null || eth === undefined ? null : ethers.utils.parseEther(eth.toFixed(18));
+}
+
+/**
+ * Create the gas budget of a run. Fees are charged from receipts by sendTransaction,
+ * so the budget has to be in the async context under `gasBudget`.
+ * @param {Object} options
+ * @param {number|null} options.walletBudget - Max ETH of fees per wallet, null for no limit
+ * @param {number|null} options.runBudget - Max ETH of fees across all wallets, null for no limit
+ * @returns {Object} - Budget with charge() and exhausted()
+ */
+function createGasBudget({ walletBudget, runBudget }) {
+  const walletLimit = toWei(walletBudget);
+  const runLimit = toWei(runBudget);
+  const spentByWallet = new Map();
+  let spentByRun = ethers.BigNumber.from(0);
+
+  const walletSpent = address => spentByWallet.get(address) || ethers.BigNumber.from(0);
+
+  return {
+    /**
+     * Add the fee of a mined transaction
+     * @param {string} address - Wallet that paid it
+     * @param {ethers.BigNumber} fee - Fee in wei
+     */
+    charge(address, fee) {
+      const spent = walletSpent(address).add(fee);
+      spentByWallet.set(address, spent);
+      spentByRun = spentByRun.add(fee);
+
+      if (walletLimit && spent.gte(walletLimit) && spent.sub(fee).lt(walletLimit)) {
+        logger.warn(`Wallet gas budget of ${walletBudget} ETH used up (${ethers.utils.formatEther(spent)} ETH spent)`, address);
+      }
+      if (runLimit && spentByRun.gte(runLimit) && spentByRun.sub(fee).lt(runLimit)) {
+        logger.warn(`Run gas budget of ${runBudget} ETH used up (${ethers.utils.formatEther(spentByRun)} ETH spent)`);
+      }
+    },
+
+    /**
+     * Check whether a wallet may still send transactions
+     * @param {string} address - Wallet address
+     * @returns {string|null} - Why the budget is exhausted, or null if there is room left
+     */
+    exhausted(address) {
+      if (runLimit && spentByRun.gte(runLimit)) {
+        return `run gas budget of ${runBudget} ETH is used up`;
+      }
+      if (walletLimit && walletSpent(address).gte(walletLimit)) {
+        return `wallet gas budget of ${walletBudget} ETH is used up`;
+      }
+      return null;
+    }
+  };
+}
+
+/**
+ * Check the gas budget of the current run, if there is one
+ * @param {string} walletAddress - Wallet address
+ * @returns {string|null} - Why the budget is exhausted, or null
+ */
+function getBudgetExhausted(walletAddress) {
+  const { gasBudget } = getContext();
+  return gasBudget ? gasBudget.exhausted(walletAddress) : null;
+}
+
+/**
+ * Charge the fee of a transaction result to the gas budget of the current run, if there is one
+ * @param {string} walletAddress - Wallet that sent the transaction
+ * @param {Object} result - Transaction result
+ */
+function chargeGas(walletAddress, result) {
+  const { gasBudget } = getContext();
+  if (gasBudget && result.fee) {
+    gasBudget.charge(walletAddress, result.fee);
+  }
+}
+
+module.exports = {
+  createGasBudget,
+  getBudgetExhausted,
+  chargeGas
+};
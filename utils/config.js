@@ -0,0 +1,496 @@
+const fs = require('fs');
+const yaml = require('js-yaml');
+const Joi = require('joi');
+const cron = require('node-cron');
+const { ethers } = require('ethers');
+const { CATEGORIES } = require('./errors');
+const { EVENTS } = require('./notify');
+
+// Ethereum address (checksum is not enforced, only the format)
+const address = Joi.string().custom((value, helpers) => {
+  if (!ethers.utils.isAddress(value)) {
+    return helpers.message('{{#label}} must be a valid address');
+  }
+  return value;
+});
+
+// 4-byte function selector, e.g. 0x609e7624
+const selector = Joi.string().pattern(/^0x[0-9a-fA-F]{8}$/).messages({
+  'string.pattern.base': '{{#label}} must be a 4-byte hex selector (0x + 8 hex chars)'
+});
+
+const seconds = Joi.number().min(0);
+
+// Percentages become basis points in BigNumber math, so two decimals is the finest they can go
+const percentValue = Joi.number().max(100).custom((value, helpers) => {
+  if (Math.abs(value * 100 - Math.round(value * 100)) > 1e-9) {
+    return helpers.message('{{#label}} must have at most two decimals');
+  }
+  return value;
+});
+const percentage = percentValue.greater(0);
+const positiveInt = Joi.number().integer().min(1);
+const logLevel = Joi.string().valid('error', 'warn', 'success', 'info', 'debug');
+
+// Failure categories the retry policy can retry (see utils/errors.js)
+const retrySchema = Joi.object({
+  baseDelay: Joi.number().greater(0),
+  maxDelay: Joi.number().greater(0),
+  retryOn: Joi.array().items(Joi.string().valid(...Object.values(CATEGORIES))).unique()
+});
+
+// Fields shared by every module that runs in iterations
+const moduleFields = {
+  enabled: Joi.boolean().required(),
+  delayMin: seconds.required(),
+  delayMax: seconds.required(),
+  maxRetries: positiveInt.required(),
+  retry: retrySchema
+};
+
+const botSchema = Joi.object({
+  name: Joi.string().required(),
+  useProxy: Joi.boolean().required(),
+  // Keys come from the plaintext file when allowPlaintextKeys is set, otherwise from the keystore
+  keystorePath: Joi.string(),
+  privateKeyPath: Joi.string(),
+  allowPlaintextKeys: Joi.boolean().default(false),
+  passphraseEnv: Joi.string().pattern(/^[A-Za-z_][A-Za-z0-9_]*$/).default('D3XTR_PASSPHRASE'),
+  proxyPath: Joi.string().when('useProxy', { is: true, then: Joi.required() }),
+  defaultDelayMin: seconds.required(),
+  defaultDelayMax: seconds.required(),
+  runningDelay: Joi.any().forbidden().messages({
+    'any.unknown': '{{#label}} was replaced by schedule.pipeline, a cron expression'
+  }),
+  dryRun: Joi.boolean().default(false),
+  concurrency: positiveInt.default(1),
+  journal: Joi.object({
+    enabled: Joi.boolean().default(true),
+    path: Joi.string().default('./data/journal.json')
+  }).default(),
+  summary: Joi.object({
+    enabled: Joi.boolean().default(true),
+    dir: Joi.string().default('./data/summaries')
+  }).default()
+}).or('keystorePath', 'privateKeyPath');
+
+const feesSchema = Joi.object({
+  mode: Joi.string().valid('auto', 'eip1559', 'legacy').default('auto'),
+  historyBlocks: Joi.number().integer().min(1).max(1024).default(10),
+  rewardPercentile: Joi.number().min(0).max(100).default(50),
+  baseFeeMultiplier: Joi.number().min(1).default(2),
+  maxFeeGwei: Joi.number().greater(0).allow(null).default(null),
+  multipliers: Joi.object().pattern(
+    Joi.string().valid('default', 'faucet', 'approve', 'deposit', 'stake', 'unstake', 'trade', 'liquidity', 'withdraw'),
+    Joi.number().greater(0)
+  ).default({})
+});
+
+const rpcUrl = Joi.string().uri({ scheme: ['http', 'https'] });
+
+// Lower priority is tried first; endpoints without one share priority 1
+const rpcEndpoint = Joi.alternatives().try(
+  rpcUrl,
+  Joi.object({
+    url: rpcUrl.required(),
+    priority: Joi.number().integer().min(0).default(1)
+  })
+);
+
+const healthSchema = Joi.object({
+  enabled: Joi.boolean().default(true),
+  maxBlockAge: positiveInt.default(60),
+  maxLatency: positiveInt.default(3000),
+  timeout: positiveInt.default(10),
+  cooldown: seconds.default(60)
+});
+
+const networkSchema = Joi.object({
+  chainId: positiveInt.required(),
+  rpc: Joi.alternatives().try(rpcUrl, Joi.array().items(rpcEndpoint).min(1)).required(),
+  health: healthSchema.default(),
+  blockExplorer: Joi.string().uri({ scheme: ['http', 'https'] }).required(),
+  gasLimit: positiveInt.required(),
+  gasPrice: Joi.number().greater(0).allow(null),
+  fees: feesSchema.default()
+});
+
+const transactionsSchema = Joi.object({
+  confirmations: positiveInt.default(1),
+  confirmationTimeout: positiveInt.default(120),
+  feeBumpPercent: Joi.number().min(10).max(500).default(15),
+  maxFeeBumps: Joi.number().integer().min(0).default(3)
+});
+
+const faucetSchema = Joi.object({
+  ...moduleFields,
+  topUpThreshold: percentage.default(50),
+  tokens: Joi.array().items(Joi.object({
+    symbol: Joi.string().required(),
+    contract: address.required(),
+    amount: Joi.number().greater(0).required(),
+    decimals: Joi.number().integer().min(0).max(36),
+    topUpBelow: Joi.number().min(0)
+  })).min(1).unique('symbol').required()
+});
+
+const depositSchema = Joi.object({
+  ...moduleFields,
+  percentage: percentage.required(),
+  vaults: Joi.array().items(Joi.object({
+    symbol: Joi.string().required(),
+    contract: address.required(),
+    methodId: selector.required()
+  })).min(1).unique('symbol').required(),
+  iterations: Joi.number().integer().min(0).required()
+});
+
+const stakeSchema = Joi.object({
+  ...moduleFields,
+  contract: address.required(),
+  tokenVault: address.required(),
+  stakePercentage: percentage.required(),
+  unstakePercentage: percentage.required(),
+  ledgerPath: Joi.string().default('./data/stakes.json'),
+  iterations: Joi.number().integer().min(0).required()
+});
+
+// Market order ranges are only needed by pairs in market mode
+const marketAmount = Joi.number().greater(0).when('mode', { not: 'limit', then: Joi.required() });
+
+const limitSchema = Joi.object({
+  amount: Joi.number().greater(0).required(),
+  // A 100% bid offset would price the bid at zero
+  bidOffset: percentage.less(100).required(),
+  askOffset: percentage.required(),
+  staleAfter: positiveInt.default(3600),
+  replaceStale: Joi.boolean().default(true)
+});
+
+const tradeSchema = Joi.object({
+  ...moduleFields,
+  slippage: percentage.default(1),
+  ordersPath: Joi.string().default('./data/orders.json'),
+  pairs: Joi.array().items(Joi.object({
+    name: Joi.string().required(),
+    contract: address.required(),
+    baseToken: Joi.string().required(),
+    quoteToken: Joi.string().required(),
+    mode: Joi.string().valid('market', 'limit').default('market'),
+    minBuy: marketAmount,
+    maxBuy: marketAmount,
+    minSell: marketAmount,
+    maxSell: marketAmount,
+    slippage: percentage,
+    limit: limitSchema.when('mode', { is: 'limit', then: Joi.required() })
+  })).min(1).unique('name').required(),
+  iterations: Joi.number().integer().min(0).required()
+});
+
+const liquidityToken = Joi.object({
+  symbol: Joi.string().required(),
+  address: address.required(),
+  decimals: Joi.number().integer().min(0).max(36).required()
+});
+
+const liquiditySchema = Joi.object({
+  ...moduleFields,
+  contract: address.required(),
+  pairs: Joi.array().items(Joi.object({
+    token1: liquidityToken.required(),
+    token2: liquidityToken.required(),
+    amount1: Joi.number().greater(0),
+    amount2: Joi.number().greater(0),
+    slippage1: percentValue.min(0).required(),
+    slippage2: percentValue.min(0).required(),
+    minPrice: Joi.number().greater(0),
+    maxPrice: Joi.number().greater(0),
+    percentage,
+    priceBand: percentage
+  })).min(1).required(),
+  percentage: percentage.required(),
+  priceBand: percentage.default(30),
+  rebalance: Joi.boolean().default(false),
+  iterations: Joi.number().integer().min(0).required()
+});
+
+const withdrawSchema = Joi.object({
+  ...moduleFields,
+  mode: Joi.string().valid('percentage', 'amount', 'all').required(),
+  percentage: percentage.when('mode', { is: 'percentage', then: Joi.required() }),
+  amounts: Joi.object().pattern(Joi.string(), Joi.number().greater(0))
+    .when('mode', { is: 'amount', then: Joi.required() }),
+  symbols: Joi.array().items(Joi.string()).unique(),
+  iterations: Joi.number().integer().min(0).required()
+});
+
+const loggingSchema = Joi.object({
+  level: logLevel.default('info'),
+  file: Joi.object({
+    enabled: Joi.boolean().default(true),
+    dir: Joi.string().default('./logs'),
+    level: logLevel.default('debug'),
+    maxFiles: Joi.alternatives(positiveInt, Joi.string().pattern(/^\d+d$/)).default('14d')
+  }).default(),
+  perWallet: Joi.boolean().default(false)
+});
+
+// Fees a wallet or a whole run may spend, in ETH
+const gasBudget = Joi.number().greater(0).allow(null).default(null);
+
+const gasSchema = Joi.object({
+  reserve: Joi.number().min(0).default(0),
+  belowReserve: Joi.string().valid('skip-wallet', 'skip-expensive').default('skip-wallet'),
+  expensiveModules: Joi.array().items(Joi.string().valid(
+    'faucet', 'deposit', 'staking', 'stake', 'unstake', 'trade', 'liquidity', 'remove-liquidity', 'withdraw'
+  )).unique().default(['staking', 'stake', 'unstake', 'trade', 'liquidity', 'remove-liquidity']),
+  walletBudget: gasBudget,
+  runBudget: gasBudget
+});
+
+const cronExpression = Joi.string().custom((value, helpers) => {
+  if (!cron.validate(value)) {
+    return helpers.message('{{#label}} must be a valid cron expression');
+  }
+  return value;
+});
+
+// IANA timezone name, e.g. Europe/Paris
+const timezone = Joi.string().custom((value, helpers) => {
+  try {
+    Intl.DateTimeFormat(undefined, { timeZone: value });
+  } catch (error) {
+    return helpers.message('{{#label}} must be an IANA timezone such as Europe/Paris');
+  }
+  return value;
+});
+
+const scheduleSchema = Joi.object({
+  pipeline: cronExpression.default('0 0 * * *'),
+  // Modules with their own schedule are left out of the scheduled pipeline runs
+  modules: Joi.object().pattern(
+    Joi.string().valid('faucet', 'deposit', 'stake', 'unstake', 'trade', 'liquidity', 'remove-liquidity', 'withdraw'),
+    cronExpression
+  ).default({}),
+  timezone,
+  overlap: Joi.string().valid('skip', 'queue').default('skip'),
+  runOnStart: Joi.boolean().default(true)
+});
+
+const notificationEvents = Joi.array().items(Joi.string().valid(...EVENTS)).unique();
+
+// Telegram channels are addressed by bot token and chat, the others by URL
+const channelSchema = Joi.object({
+  type: Joi.string().valid('webhook', 'telegram', 'discord').required(),
+  url: Joi.string().uri({ scheme: ['http', 'https'] })
+    .when('type', { is: 'telegram', then: Joi.forbidden(), otherwise: Joi.required() }),
+  botToken: Joi.string().when('type', { is: 'telegram', then: Joi.required(), otherwise: Joi.forbidden() }),
+  chatId: Joi.alternatives(Joi.string(), Joi.number().integer())
+    .when('type', { is: 'telegram', then: Joi.required(), otherwise: Joi.forbidden() }),
+  events: notificationEvents
+});
+
+const notificationsSchema = Joi.object({
+  enabled: Joi.boolean().default(false),
+  events: notificationEvents.default(['runEnd', 'walletFailure', 'lowGas', 'jobFailure', 'fatal']),
+  lowGasBalance: Joi.number().min(0).default(0.005),
+  timeout: Joi.number().greater(0).default(10),
+  retries: positiveInt.default(3),
+  channels: Joi.array().items(channelSchema).default([])
+    .when('enabled', { is: true, then: Joi.array().min(1) })
+});
+
+const configSchema = Joi.object({
+  bot: botSchema.required(),
+  logging: loggingSchema.default(),
+  schedule: scheduleSchema.default(),
+  notifications: notificationsSchema.default(),
+  network: networkSchema.required(),
+  transactions: transactionsSchema.default(),
+  gas: gasSchema.default(),
+  faucet: faucetSchema.required(),
+  deposit: depositSchema.required(),
+  stake: stakeSchema.required(),
+  trade: tradeSchema.required(),
+  liquidity: liquiditySchema,
+  withdraw: withdrawSchema
+});
+
+/**
+ * Check a min/max pair and record a problem if min is greater than max
+ * @param {Array<string>} problems - Problem list to append to
+ * @param {Object} section - Object holding both values
+ * @param {string} path - Path of the section for the report
+ * @param {string} minKey - Name of the minimum field
+ * @param {string} maxKey - Name of the maximum field
+ */
+function checkRange(problems, section, path, minKey, maxKey) {
+  if (!section) return;
+  const min = section[minKey];
+  const max = section[maxKey];
+  if (typeof min === 'number' && typeof max === 'number' && min > max) {
+    problems.push(`${path}.${minKey} (${min}) must not be greater than ${path}.${maxKey} (${max})`);
+  }
+}
+
+/**
+ * Check references between config sections that the schema cannot express
+ * @param {Object} config - Parsed configuration
+ * @returns {Array<string>} - List of problems
+ */
+function checkReferences(config) {
+  const problems = [];
+  const asArray = value => (Array.isArray(value) ? value : []);
+  const sameAddress = (a, b) => typeof a === 'string' && typeof b === 'string' && a.toLowerCase() === b.toLowerCase();
+
+  const faucetTokens = asArray(config.faucet && config.faucet.tokens);
+  const tokenBySymbol = new Map(faucetTokens.map(token => [token.symbol, token]));
+  const vaults = asArray(config.deposit && config.deposit.vaults);
+
+  checkRange(problems, config.bot, 'bot', 'defaultDelayMin', 'defaultDelayMax');
+  for (const section of ['faucet', 'deposit', 'stake', 'trade', 'liquidity', 'withdraw']) {
+    checkRange(problems, config[section], section, 'delayMin', 'delayMax');
+  }
+
+  // Every vault must hold a token we know how to claim
+  vaults.forEach((vault, i) => {
+    if (vault && vault.symbol && !tokenBySymbol.has(vault.symbol)) {
+      problems.push(`deposit.vaults[${i}].symbol "${vault.symbol}" has no matching entry in faucet.tokens`);
+    }
+  });
+
+  // Staking reads DXTR from its vault
+  if (config.stake) {
+    if (!tokenBySymbol.has('DXTR')) {
+      problems.push('stake requires a DXTR entry in faucet.tokens');
+    }
+    if (config.stake.tokenVault && !vaults.some(vault => sameAddress(vault.contract, config.stake.tokenVault))) {
+      problems.push(`stake.tokenVault ${config.stake.tokenVault} is not one of deposit.vaults`);
+    }
+  }
+
+  // Trade pairs must reference known tokens, settled through their vaults
+  asArray(config.trade && config.trade.pairs).forEach((pair, i) => {
+    if (!pair) return;
+    const path = `trade.pairs[${i}]`;
+    for (const key of ['baseToken', 'quoteToken']) {
+      if (pair[key] && !tokenBySymbol.has(pair[key])) {
+        problems.push(`${path}.${key} "${pair[key]}" has no matching entry in faucet.tokens`);
+      }
+      if (pair[key] && !vaults.some(vault => vault && vault.symbol === pair[key])) {
+        problems.push(`${path}.${key} "${pair[key]}" has no vault in deposit.vaults`);
+      }
+    }
+    if (pair.baseToken && pair.baseToken === pair.quoteToken) {
+      problems.push(`${path} uses ${pair.baseToken} as both baseToken and quoteToken`);
+    }
+    checkRange(problems, pair, path, 'minBuy', 'maxBuy');
+    checkRange(problems, pair, path, 'minSell', 'maxSell');
+  });
+
+  // Liquidity tokens must agree with the faucet token list
+  asArray(config.liquidity && config.liquidity.pairs).forEach((pair, i) => {
+    if (!pair) return;
+    const path = `liquidity.pairs[${i}]`;
+    for (const key of ['token1', 'token2']) {
+      const token = pair[key];
+      if (!token || !token.symbol) continue;
+      const known = tokenBySymbol.get(token.symbol);
+      if (!known) {
+        problems.push(`${path}.${key}.symbol "${token.symbol}" has no matching entry in faucet.tokens`);
+        continue;
+      }
+      if (token.address && !sameAddress(token.address, known.contract)) {
+        problems.push(`${path}.${key}.address ${token.address} does not match faucet token ${token.symbol} (${known.contract})`);
+      }
+      if (token.decimals !== undefined && known.decimals !== undefined && token.decimals !== known.decimals) {
+        problems.push(`${path}.${key}.decimals (${token.decimals}) does not match faucet token ${token.symbol} (${known.decimals})`);
+      }
+    }
+    if (pair.token1 && pair.token2 && pair.token1.symbol === pair.token2.symbol) {
+      problems.push(`${path} uses ${pair.token1.symbol} as both token1 and token2`);
+    }
+    checkRange(problems, pair, path, 'minPrice', 'maxPrice');
+
+    // Without static bounds the price band is read from the trade pair of the same tokens
+    if (pair.token1 && pair.token2 && (pair.minPrice === undefined || pair.maxPrice === undefined)) {
+      const symbols = [pair.token1.symbol, pair.token2.symbol];
+      const priced = asArray(config.trade && config.trade.pairs).some(tradePair =>
+        tradePair && symbols.includes(tradePair.baseToken) && symbols.includes(tradePair.quoteToken));
+      if (!priced) {
+        problems.push(`${path} needs minPrice and maxPrice, or a trade pair between ${symbols.join(' and ')} to price it`);
+      }
+    }
+  });
+
+  // Withdrawals go through the deposit vaults
+  if (config.withdraw) {
+    const symbols = [
+      ...asArray(config.withdraw.symbols),
+      ...Object.keys(config.withdraw.amounts || {})
+    ];
+    for (const symbol of new Set(symbols)) {
+      if (!vaults.some(vault => vault && vault.symbol === symbol)) {
+        problems.push(`withdraw references "${symbol}", which has no vault in deposit.vaults`);
+      }
+    }
+  }
+
+  return problems;
+}
+
+/**
+ * Validate a parsed configuration object
+ * @param {Object} config - Parsed configuration
+ * @returns {{value: Object, problems: Array<string>}} - Validated config and every problem found
+ */
+function validateConfig(config) {
+  if (!config || typeof config !== 'object') {
+    return { value: config, problems: ['configuration must be a YAML mapping'] };
+  }
+
+  const { error, value } = configSchema.validate(config, {
+    abortEarly: false,
+    errors: { wrap: { label: false } }
+  });
+
+  const problems = error ? error.details.map(detail => detail.message) : [];
+  problems.push(...checkReferences(value));
+
+  return { value, problems };
+}
+
+/**
+ * Format a list of problems into a readable report
+ * @param {string} configPath - Path of the configuration file
+ * @param {Array<string>} problems - Problems found
+ * @returns {string} - Report
+ */
+function formatProblems(configPath, problems) {
+  const header = `Invalid configuration in ${configPath} (${problems.length} problem${problems.length === 1 ? '' : 's'}):`;
+  return [header, ...problems.map(problem => `  - ${problem}`)].join('\n');
+}
+
+/**
+ * Load and validate the YAML configuration file
+ * @param {string} configPath - Path of the configuration file
+ * @returns {Object} - Validated configuration
+ * @throws {Error} - With every problem listed in the message and in `problems`
+ */
+function loadConfig(configPath) {
+  const config = yaml.load(fs.readFileSync(configPath, 'utf8'));
+  const { value, problems } = validateConfig(config);
+
+  if (problems.length > 0) {
+    const error = new Error(formatProblems(configPath, problems));
+    error.problems = problems;
+    throw error;
+  }
+
+  return value;
+}
+
+module.exports = {
+  loadConfig,
+  validateConfig
+};
@@ -0,0 +1,27 @@
+const { AsyncLocalStorage } = require('async_hooks');
+
+// Fields (such as the wallet) attached to everything logged inside an async call chain
+const storage = new AsyncLocalStorage();
+
+/**
+ * Run a function with extra context fields, inherited by everything it awaits
+ * @param {Object} fields - Context fields to add, e.g. { wallet }
+ * @param {Function} fn - Function to run
+ * @returns {*} - Return value of fn
+ */
+function runWithContext(fields, fn) {
+  return storage.run({ ...getContext(), ...fields }, fn);
+}
+
+/**
+ * Get the context of the current async call chain
+ * @returns {Object} - Context fields, empty outside of runWithContext
+ */
+function getContext() {
+  return storage.getStore() || {};
+}
+
+module.exports = {
+  runWithContext,
+  getContext
+};
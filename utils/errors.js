@@ -0,0 +1,137 @@
+const { ethers } = require('ethers');
+const { decodeError } = require('../constants/abis');
+
+// Failure categories shared by the retry policy and logs
+const CATEGORIES = {
+  REVERT: 'revert',
+  INSUFFICIENT_FUNDS: 'insufficient_funds',
+  NONCE: 'nonce',
+  RATE_LIMIT: 'rate_limit',
+  NETWORK: 'network',
+  PENDING: 'pending',
+  NO_LIQUIDITY: 'no_liquidity',
+  UNSUPPORTED: 'unsupported',
+  GAS_BUDGET: 'gas_budget',
+  UNKNOWN: 'unknown'
+};
+
+/**
+ * Walk an error and the errors nested inside it by providers and ethers
+ * @param {Error} error - Top-level error
+ * @returns {Array<Object>} - The error followed by every nested error
+ */
+function flattenError(error) {
+  const chain = [];
+  const queue = [error];
+
+  while (queue.length > 0 && chain.length < 10) {
+    const current = queue.shift();
+    if (!current || typeof current !== 'object' || chain.includes(current)) continue;
+    chain.push(current);
+    queue.push(current.error, current.cause);
+
+    // JSON-RPC error bodies arrive as strings on SERVER_ERROR
+    if (typeof current.body === 'string') {
+      try {
+        queue.push(JSON.parse(current.body).error);
+      } catch (parseError) {
+        // Not JSON
+      }
+    }
+  }
+
+  return chain;
+}
+
+/**
+ * Find revert data anywhere in an error chain
+ * @param {Array<Object>} chain - Flattened error chain
+ * @returns {string|null} - Revert data
+ */
+function findRevertData(chain) {
+  for (const entry of chain) {
+    if (typeof entry.data === 'string' && ethers.utils.isHexString(entry.data) && entry.data.length >= 10) {
+      return entry.data;
+    }
+  }
+  return null;
+}
+
+/**
+ * Classify an error thrown while building, sending or confirming a transaction
+ * @param {Error} error - Error to classify
+ * @returns {{category: string, reason: string}} - Failure category and readable reason
+ */
+function classifyError(error) {
+  const chain = flattenError(error);
+  const codes = chain.map(entry => entry.code);
+  const text = chain.map(entry => entry.message || entry.reason || '').join(' | ');
+  const has = pattern => pattern.test(text);
+
+  // A contract that lacks a function will not grow it on a retry
+  if (codes.includes(ethers.errors.UNSUPPORTED_OPERATION)) {
+    return { category: CATEGORIES.UNSUPPORTED, reason: error.message };
+  }
+
+  if (codes.includes(ethers.errors.INSUFFICIENT_FUNDS) || has(/insufficient funds/i)) {
+    return { category: CATEGORIES.INSUFFICIENT_FUNDS, reason: 'insufficient funds for gas' };
+  }
+
+  if (codes.includes(ethers.errors.NONCE_EXPIRED) || codes.includes(ethers.errors.REPLACEMENT_UNDERPRICED) ||
+      has(/nonce too low|nonce has already been used|replacement (transaction )?underpriced|already known/i)) {
+    return { category: CATEGORIES.NONCE, reason: has(/underpriced/i) ? 'replacement underpriced' : 'nonce too low' };
+  }
+
+  if (chain.some(entry => entry.status === 429 || entry.code === -32005) || has(/rate limit|too many requests|\b429\b/i)) {
+    return { category: CATEGORIES.RATE_LIMIT, reason: 'RPC rate limit' };
+  }
+
+  const revertData = findRevertData(chain);
+  if (codes.includes(ethers.errors.CALL_EXCEPTION) || codes.includes(ethers.errors.UNPREDICTABLE_GAS_LIMIT) ||
+      revertData || has(/execution reverted|revert/i)) {
+    const withReason = chain.find(entry => entry.reason && entry.reason !== 'execution reverted');
+    const reason = decodeError(revertData) || (withReason && withReason.reason) || 'execution reverted';
+    return { category: CATEGORIES.REVERT, reason };
+  }
+
+  if (codes.some(code => [ethers.errors.TIMEOUT, ethers.errors.NETWORK_ERROR, ethers.errors.SERVER_ERROR,
+    'ETIMEDOUT', 'ECONNRESET', 'ECONNREFUSED', 'ENOTFOUND', 'EAI_AGAIN'].includes(code)) ||
+      has(/timeout|timed out|socket hang up|could not detect network|missing response|bad response/i)) {
+    return { category: CATEGORIES.NETWORK, reason: error.reason || error.message };
+  }
+
+  return { category: CATEGORIES.UNKNOWN, reason: error.reason || error.message };
+}
+
+/**
+ * Describe why a transaction result failed
+ * @param {Object} result - Transaction result
+ * @returns {{category: string, reason: string}} - Failure category and readable reason
+ */
+function describeFailure(result) {
+  if (result.error) {
+    return classifyError(result.error);
+  }
+  if (result.status === 'reverted') {
+    return { category: CATEGORIES.REVERT, reason: `reverted in block ${result.blockNumber}` };
+  }
+  if (result.status === 'simulated') {
+    return { category: CATEGORIES.REVERT, reason: 'simulation failed' };
+  }
+  if (result.status === 'timeout') {
+    return { category: CATEGORIES.PENDING, reason: 'transaction still pending' };
+  }
+  if (result.status === 'no_liquidity') {
+    return { category: CATEGORIES.NO_LIQUIDITY, reason: result.reason };
+  }
+  if (result.status === 'budget') {
+    return { category: CATEGORIES.GAS_BUDGET, reason: result.reason };
+  }
+  return { category: CATEGORIES.UNKNOWN, reason: result.reason || result.status || 'unknown failure' };
+}
+
+module.exports = {
+  CATEGORIES,
+  classifyError,
+  describeFailure
+};
@@ -1,6 +1,65 @@
 const { ethers } = require('ethers');
 const logger = require('./logger');
 
+// Defaults for config.network.fees
+const DEFAULT_FEE_SETTINGS = {
+  mode: 'auto',
+  historyBlocks: 10,
+  rewardPercentile: 50,
+  baseFeeMultiplier: 2,
+  maxFeeGwei: null,
+  multipliers: {
+    default: 1.1
+  }
+};
+
+// Whether a provider's chain supports EIP-1559, cached per provider
+const eip1559Support = new WeakMap();
+
+/**
+ * Get fee settings from the global config
+ * @returns {Object} - Fee settings
+ */
+function getFeeSettings() {
+  const network = global.config && global.config.network ? global.config.network : {};
+  const configured = network.fees || {};
+  return {
+    ...DEFAULT_FEE_SETTINGS,
+    ...configured,
+    multipliers: { ...DEFAULT_FEE_SETTINGS.multipliers, ...configured.multipliers },
+    fixedGasPriceGwei: network.gasPrice || null
+  };
+}
+
+/**
+ * Get the fee multiplier configured for an operation
+ * @param {string} operation - Operation name (faucet, approve, deposit, stake, unstake, trade, liquidity)
+ * @returns {number} - Multiplier
+ */
+function getMultiplier(operation) {
+  const { multipliers } = getFeeSettings();
+  return multipliers[operation] !== undefined ? multipliers[operation] : multipliers.default;
+}
+
+/**
+ * Multiply a BigNumber by a decimal factor, rounding up so small fees still grow
+ * @param {ethers.BigNumber} value - Value
+ * @param {number} factor - Factor, precise to 1/100
+ * @returns {ethers.BigNumber}
+ */
+function scale(value, factor) {
+  return value.mul(Math.round(factor * 100)).add(99).div(100);
+}
+
+/**
+ * Get the configured fee cap
+ * @returns {ethers.BigNumber|null} - Cap in wei or null if uncapped
+ */
+function getFeeCap() {
+  const { maxFeeGwei } = getFeeSettings();
+  return maxFeeGwei ? ethers.utils.parseUnits(maxFeeGwei.toString(), 'gwei') : null;
+}
+
 /**
  * Get the current gas price with a multiplier
  * @param {ethers.providers.Provider} provider - Ethers provider
@@ -10,7 +69,7 @@ const logger = require('./logger');
 async function getGasPrice(provider, multiplier = 1.1) {
   try {
     const gasPrice = await provider.getGasPrice();
-    return gasPrice.mul(Math.floor(multiplier * 100)).div(100);
+    return scale(gasPrice, multiplier);
   } catch (error) {
     logger.warn(`Failed to estimate gas price: ${error.message}`);
     // Return a default gas price (1.5 gwei)
@@ -18,6 +77,136 @@ async function getGasPrice(provider, multiplier = 1.1) {
   }
 }
 
+/**
+ * Check whether the chain behind a provider supports type-2 transactions
+ * @param {ethers.providers.Provider} provider - Ethers provider
+ * @returns {Promise<boolean>}
+ */
+async function supportsEip1559(provider) {
+  if (!eip1559Support.has(provider)) {
+    const block = await provider.getBlock('latest');
+    eip1559Support.set(provider, Boolean(block && block.baseFeePerGas));
+  }
+  return eip1559Support.get(provider);
+}
+
+/**
+ * Compute EIP-1559 fees from recent fee history
+ * @param {ethers.providers.JsonRpcProvider} provider - Ethers provider
+ * @param {number} multiplier - Multiplier applied to the priority fee
+ * @returns {Promise<{type: number, maxFeePerGas: ethers.BigNumber, maxPriorityFeePerGas: ethers.BigNumber}>}
+ */
+async function getEip1559Fees(provider, multiplier) {
+  const { historyBlocks, rewardPercentile, baseFeeMultiplier } = getFeeSettings();
+  const history = await provider.send('eth_feeHistory', [
+    ethers.utils.hexValue(historyBlocks),
+    'latest',
+    [rewardPercentile]
+  ]);
+
+  // The last entry is the base fee of the next block
+  const baseFee = ethers.BigNumber.from(history.baseFeePerGas[history.baseFeePerGas.length - 1]);
+
+  // Median of the per-block rewards at the configured percentile
+  const rewards = (history.reward || [])
+    .map(blockRewards => ethers.BigNumber.from(blockRewards[0]))
+    .sort((a, b) => (a.lt(b) ? -1 : a.gt(b) ? 1 : 0));
+  const medianReward = rewards.length > 0 ? rewards[Math.floor(rewards.length / 2)] : ethers.BigNumber.from(0);
+
+  // Never tip less than 1 wei so the transaction is not ignored by builders
+  let maxPriorityFeePerGas = scale(medianReward, multiplier);
+  if (maxPriorityFeePerGas.isZero()) {
+    maxPriorityFeePerGas = ethers.BigNumber.from(1);
+  }
+  let maxFeePerGas = scale(baseFee, baseFeeMultiplier).add(maxPriorityFeePerGas);
+
+  const cap = getFeeCap();
+  if (cap && maxFeePerGas.gt(cap)) {
+    logger.warn(`Max fee ${ethers.utils.formatUnits(maxFeePerGas, 'gwei')} gwei capped at ${ethers.utils.formatUnits(cap, 'gwei')} gwei`);
+    maxFeePerGas = cap;
+    if (maxPriorityFeePerGas.gt(cap)) {
+      maxPriorityFeePerGas = cap;
+    }
+  }
+
+  return { type: 2, maxFeePerGas, maxPriorityFeePerGas };
+}
+
+/**
+ * Get transaction fee fields for an operation: EIP-1559 fees where the chain supports them,
+ * a legacy gas price otherwise or when config.network.gasPrice is set
+ * @param {ethers.providers.JsonRpcProvider} provider - Ethers provider
+ * @param {string} [operation='default'] - Operation name used to pick the multiplier
+ * @returns {Promise<Object>} - Either {type: 2, maxFeePerGas, maxPriorityFeePerGas} or {type: 0, gasPrice}
+ */
+async function getFeeData(provider, operation = 'default') {
+  const { mode, fixedGasPriceGwei } = getFeeSettings();
+  const multiplier = getMultiplier(operation);
+
+  // A fixed gas price in config always wins
+  if (fixedGasPriceGwei) {
+    return { type: 0, gasPrice: ethers.utils.parseUnits(fixedGasPriceGwei.toString(), 'gwei') };
+  }
+
+  if (mode !== 'legacy') {
+    try {
+      if (mode === 'eip1559' || await supportsEip1559(provider)) {
+        return await getEip1559Fees(provider, multiplier);
+      }
+    } catch (error) {
+      logger.warn(`Failed to compute EIP-1559 fees, using legacy gas price: ${error.message}`);
+    }
+  }
+
+  let gasPrice = await getGasPrice(provider, multiplier);
+  const cap = getFeeCap();
+  if (cap && gasPrice.gt(cap)) {
+    gasPrice = cap;
+  }
+  return { type: 0, gasPrice };
+}
+
+/**
+ * Raise fee fields by a percentage for a replacement transaction, respecting the fee cap
+ * @param {Object} fees - Fee fields returned by getFeeData
+ * @param {number} percent - Increase in percent
+ * @returns {Object|null} - Bumped fee fields, or null if the cap leaves no room to bump
+ */
+function bumpFees(fees, percent) {
+  const factor = 1 + percent / 100;
+  const cap = getFeeCap();
+  // Every field grows by at least 1 wei, or nodes reject the replacement
+  const bump = value => {
+    const scaled = scale(value, factor);
+    const bumped = scaled.gt(value) ? scaled : value.add(1);
+    return cap && bumped.gt(cap) ? cap : bumped;
+  };
+
+  if (fees.type === 2) {
+    const maxFeePerGas = bump(fees.maxFeePerGas);
+    const maxPriorityFeePerGas = bump(fees.maxPriorityFeePerGas);
+    if (maxFeePerGas.lte(fees.maxFeePerGas) || maxPriorityFeePerGas.lte(fees.maxPriorityFeePerGas)) return null;
+    return { type: 2, maxFeePerGas, maxPriorityFeePerGas };
+  }
+
+  const gasPrice = bump(fees.gasPrice);
+  if (gasPrice.lte(fees.gasPrice)) return null;
+  return { type: 0, gasPrice };
+}
+
+/**
+ * Format fee fields for logging
+ * @param {Object} fees - Fee fields returned by getFeeData
+ * @returns {string}
+ */
+function formatFees(fees) {
+  const gwei = value => `${ethers.utils.formatUnits(value, 'gwei')} gwei`;
+  if (fees.type === 2) {
+    return `max fee ${gwei(fees.maxFeePerGas)}, priority ${gwei(fees.maxPriorityFeePerGas)}`;
+  }
+  return `gas price ${gwei(fees.gasPrice)}`;
+}
+
 /**
  * Estimate gas for a transaction with fallback
  * @param {Object} txObject - Transaction object
@@ -39,5 +228,8 @@ async function estimateGas(txObject, wallet, defaultGasLimit = 500000) {
 
 module.exports = {
   getGasPrice,
+  getFeeData,
+  bumpFees,
+  formatFees,
   estimateGas
 };
\ No newline at end of file
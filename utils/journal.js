@@ -0,0 +1,228 @@
+const fs = require('fs');
+const path = require('path');
+const moment = require('moment');
+const logger = require('./logger');
+
+// Statuses that mean a step does not need to run again
+const DONE_STATUSES = ['confirmed', 'skipped'];
+
+/**
+ * Read a JSON file, returning a fallback if it does not exist
+ * @param {string} filePath - Path of the file
+ * @param {*} fallback - Value returned when the file is missing
+ * @returns {*} - Parsed content
+ */
+function readJson(filePath, fallback) {
+  if (!fs.existsSync(filePath)) {
+    return fallback;
+  }
+  return JSON.parse(fs.readFileSync(filePath, 'utf8'));
+}
+
+/**
+ * Write a JSON file atomically so a crash never leaves it half-written
+ * @param {string} filePath - Path of the file
+ * @param {*} data - Data to write
+ */
+function writeJson(filePath, data) {
+  fs.mkdirSync(path.dirname(filePath), { recursive: true });
+  const tmpPath = `${filePath}.${process.pid}.tmp`;
+  const fd = fs.openSync(tmpPath, 'w');
+  try {
+    fs.writeSync(fd, JSON.stringify(data, null, 2));
+    // Flush before the rename, or a crash can leave the renamed file empty
+    fs.fsyncSync(fd);
+  } finally {
+    fs.closeSync(fd);
+  }
+  fs.renameSync(tmpPath, filePath);
+}
+
+/**
+ * Check what became of the transactions a step sent before the run stopped, so a resumed run
+ * never sends a second one while the first can still be mined
+ * @param {ethers.providers.Provider} provider - Provider
+ * @param {Object} record - Journal record of the step
+ * @returns {Promise<string|null>} - 'confirmed' if one was mined, 'pending' if one still can be,
+ *   null if the step is safe to run again
+ */
+async function reconcileRecord(provider, record) {
+  for (const hash of record.txHashes) {
+    const receipt = await provider.getTransactionReceipt(hash);
+    if (receipt && receipt.blockNumber) {
+      // A reverted transaction changed nothing
+      return receipt.status === 1 ? 'confirmed' : null;
+    }
+  }
+
+  // Once another transaction used the nonce, none of these can be mined any more
+  if (record.nonce !== null && await provider.getTransactionCount(record.wallet, 'latest') > record.nonce) {
+    return null;
+  }
+  for (const hash of record.txHashes) {
+    if (await provider.getTransaction(hash)) {
+      return 'pending';
+    }
+  }
+  return null;
+}
+
+/**
+ * Open the run journal, resuming the latest unfinished run of the same command.
+ * Only unfinished runs are kept: finished ones and those a fresh run replaces are dropped.
+ * @param {Object} options - Journal options
+ * @param {string} options.path - Path of the journal file
+ * @param {string} options.command - Command being run (run, deposit, ...)
+ * @param {boolean} [options.fresh=false] - Start a new run even if an unfinished one exists
+ * @param {boolean} [options.enabled=true] - Record nothing when false
+ * @returns {Object} - Journal with runId, scope(), isWalletComplete(), markWalletComplete() and finish()
+ */
+function openJournal({ path: journalPath, command, fresh = false, enabled = true }) {
+  const data = enabled ? readJson(journalPath, { runs: {} }) : { runs: {} };
+
+  // Runs are keyed by id and stored in start order
+  const unfinished = Object.entries(data.runs)
+    .filter(([, run]) => run.command === command && !run.finishedAt)
+    .map(([id]) => id);
+  const resumeId = !fresh && unfinished.length > 0 ? unfinished[unfinished.length - 1] : null;
+
+  // Nothing resumes a finished run, or an older unfinished one of this command
+  for (const [id, stored] of Object.entries(data.runs)) {
+    if (stored.finishedAt || (stored.command === command && id !== resumeId)) {
+      delete data.runs[id];
+    }
+  }
+
+  let runId = resumeId;
+  if (!runId) {
+    const base = `${moment().format('YYYYMMDD-HHmmss')}-${command}`;
+    runId = base;
+    for (let n = 2; data.runs[runId]; n++) {
+      runId = `${base}-${n}`;
+    }
+  }
+
+  if (resumeId) {
+    logger.info(`Resuming unfinished run ${runId} from ${journalPath}`);
+  } else {
+    data.runs[runId] = { command, startedAt: new Date().toISOString(), finishedAt: null, records: {} };
+  }
+  const run = data.runs[runId];
+
+  const save = () => {
+    if (enabled) writeJson(journalPath, data);
+  };
+  const keyOf = (wallet, module, iteration, step) => `${wallet.toLowerCase()}|${module}|${iteration}|${step}`;
+
+  save();
+
+  return {
+    runId,
+    resumed: Boolean(resumeId),
+
+    /**
+     * Get a step scope for one wallet, module and iteration
+     * @param {string} wallet - Wallet address
+     * @param {string} module - Module name
+     * @param {number} iteration - Iteration index
+     * @param {ethers.providers.Provider} [provider] - Provider to check the transactions of interrupted steps with
+     * @returns {{run: Function}} - Scope whose run(step, operation) skips completed steps
+     */
+    scope(wallet, module, iteration, provider = null) {
+      return {
+        async run(step, operation) {
+          const key = keyOf(wallet, module, iteration, step);
+          const record = run.records[key];
+          if (record && DONE_STATUSES.includes(record.status)) {
+            logger.info(`Skipping ${module} ${step} (iteration ${iteration + 1}), already done in run ${runId}`, wallet);
+            return { success: true, status: 'journaled', hash: record.txHash };
+          }
+
+          // A step that sent transactions without seeing them confirmed may still have gone through
+          if (record && provider && record.txHashes && record.txHashes.length > 0) {
+            let state;
+            try {
+              state = await reconcileRecord(provider, record);
+            } catch (error) {
+              logger.error(`Cannot check the transactions of ${module} ${step} from run ${runId}, not sending it again: ${error.message}`, wallet);
+              return { success: false, status: 'failed', error, hash: record.txHash };
+            }
+
+            if (state === 'confirmed') {
+              logger.info(`${module} ${step} (iteration ${iteration + 1}) was mined after run ${runId} stopped`, wallet);
+              record.status = 'confirmed';
+              record.updatedAt = new Date().toISOString();
+              save();
+              return { success: true, status: 'journaled', hash: record.txHash };
+            }
+            if (state === 'pending') {
+              logger.warn(`${module} ${step} (iteration ${iteration + 1}) is still pending from run ${runId}, not sending it again`, wallet);
+              return { success: false, status: 'timeout', hash: record.txHash };
+            }
+          }
+
+          const result = await operation();
+
+          // Dry-run results never count as done
+          if (result.status !== 'simulated') {
+            run.records[key] = {
+              wallet,
+              module,
+              iteration,
+              step,
+              status: result.status,
+              txHash: result.hash || null,
+              txHashes: result.hashes || (result.hash ? [result.hash] : []),
+              nonce: result.nonce !== undefined ? result.nonce : null,
+              updatedAt: new Date().toISOString()
+            };
+            save();
+          }
+          return result;
+        }
+      };
+    },
+
+    isWalletComplete(wallet) {
+      const record = run.records[keyOf(wallet, 'wallet', 0, 'complete')];
+      return Boolean(record);
+    },
+
+    markWalletComplete(wallet) {
+      run.records[keyOf(wallet, 'wallet', 0, 'complete')] = {
+        wallet,
+        module: 'wallet',
+        iteration: 0,
+        step: 'complete',
+        status: 'completed',
+        txHash: null,
+        updatedAt: new Date().toISOString()
+      };
+      save();
+    },
+
+    finish() {
+      // A finished run has nothing left to resume
+      delete data.runs[runId];
+      save();
+    }
+  };
+}
+
+/**
+ * Run a journaled step, or just the operation when there is no journal scope
+ * @param {Object|null} scope - Step scope from journal.scope()
+ * @param {string} step - Step name, unique within the scope
+ * @param {Function} operation - Async function returning a transaction result
+ * @returns {Promise<Object>} - Transaction result
+ */
+function runStep(scope, step, operation) {
+  return scope ? scope.run(step, operation) : operation();
+}
+
+module.exports = {
+  readJson,
+  writeJson,
+  openJournal,
+  runStep
+};
@@ -0,0 +1,178 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { ethers } = require('ethers');
+const logger = require('./logger');
+
+// Key derivation of the key bundle; scrypt needs 128 * N * r bytes of memory
+const SCRYPT = { N: 131072, r: 8, p: 1 };
+const SCRYPT_MAXMEM = 256 * 1024 * 1024;
+const BUNDLE_VERSION = 1;
+
+/**
+ * Read the passphrase that unlocks the keystore
+ * @param {string} envName - Environment variable holding it (may come from .env)
+ * @returns {string} - Passphrase
+ * @throws {Error} - If the variable is not set
+ */
+function getPassphrase(envName) {
+  const passphrase = process.env[envName];
+  if (!passphrase) {
+    throw new Error(`Set ${envName} in the environment or in .env to unlock the keystore`);
+  }
+  return passphrase;
+}
+
+/**
+ * Derive the bundle encryption key from a passphrase
+ * @param {string} passphrase - Passphrase
+ * @param {Buffer} salt - Random salt
+ * @param {Object} params - scrypt N, r and p
+ * @returns {Buffer} - 32-byte key
+ */
+function deriveKey(passphrase, salt, params) {
+  return crypto.scryptSync(passphrase.normalize('NFKC'), salt, 32, { ...params, maxmem: SCRYPT_MAXMEM });
+}
+
+/**
+ * Encrypt private keys into a single key bundle
+ * @param {Array<string>} privateKeys - Private keys
+ * @param {string} passphrase - Passphrase
+ * @returns {Object} - Bundle, safe to write to disk
+ */
+function encryptKeys(privateKeys, passphrase) {
+  const salt = crypto.randomBytes(32);
+  const iv = crypto.randomBytes(12);
+  const cipher = crypto.createCipheriv('aes-256-gcm', deriveKey(passphrase, salt, SCRYPT), iv);
+  const ciphertext = Buffer.concat([cipher.update(JSON.stringify(privateKeys), 'utf8'), cipher.final()]);
+
+  return {
+    version: BUNDLE_VERSION,
+    addresses: privateKeys.map(privateKey => new ethers.Wallet(privateKey).address),
+    kdf: 'scrypt',
+    kdfparams: { ...SCRYPT, salt: salt.toString('hex') },
+    cipher: 'aes-256-gcm',
+    iv: iv.toString('hex'),
+    tag: cipher.getAuthTag().toString('hex'),
+    ciphertext: ciphertext.toString('hex')
+  };
+}
+
+/**
+ * Decrypt a key bundle
+ * @param {Object} bundle - Bundle written by encryptKeys
+ * @param {string} passphrase - Passphrase
+ * @returns {Array<string>} - Private keys
+ * @throws {Error} - If the passphrase is wrong or the bundle was modified
+ */
+function decryptKeys(bundle, passphrase) {
+  if (bundle.version !== BUNDLE_VERSION || bundle.kdf !== 'scrypt' || bundle.cipher !== 'aes-256-gcm') {
+    throw new Error('Unsupported key bundle format');
+  }
+
+  const { salt, ...params } = bundle.kdfparams;
+  const decipher = crypto.createDecipheriv('aes-256-gcm', deriveKey(passphrase, Buffer.from(salt, 'hex'), params), Buffer.from(bundle.iv, 'hex'));
+  decipher.setAuthTag(Buffer.from(bundle.tag, 'hex'));
+
+  let privateKeys;
+  try {
+    privateKeys = JSON.parse(Buffer.concat([decipher.update(Buffer.from(bundle.ciphertext, 'hex')), decipher.final()]).toString('utf8'));
+  } catch (error) {
+    throw new Error('Wrong passphrase or corrupted key bundle');
+  }
+
+  privateKeys.forEach((privateKey, index) => {
+    if (new ethers.Wallet(privateKey).address !== bundle.addresses[index]) {
+      throw new Error(`Key ${index} of the bundle does not match address ${bundle.addresses[index]}`);
+    }
+  });
+  return privateKeys;
+}
+
+/**
+ * Decrypt an ethers JSON keystore
+ * @param {string} json - Keystore JSON
+ * @param {string} passphrase - Passphrase
+ * @param {string} label - File name for errors
+ * @returns {Promise<string>} - Private key
+ */
+async function decryptKeystore(json, passphrase, label) {
+  try {
+    const wallet = await ethers.Wallet.fromEncryptedJson(json, passphrase);
+    return wallet.privateKey;
+  } catch (error) {
+    throw new Error(`Failed to decrypt ${label}: ${error.reason || error.message}`);
+  }
+}
+
+/**
+ * Load private keys from a key bundle, an ethers JSON keystore, or a directory of keystores (in file name order)
+ * @param {string} keystorePath - File or directory
+ * @param {string} passphrase - Passphrase
+ * @returns {Promise<Array<string>>} - Private keys
+ * @throws {Error} - If the path is missing, the format is unknown or decryption fails
+ */
+async function loadKeystore(keystorePath, passphrase) {
+  if (!fs.existsSync(keystorePath)) {
+    throw new Error(`Keystore not found: ${keystorePath}`);
+  }
+
+  if (fs.statSync(keystorePath).isDirectory()) {
+    const files = fs.readdirSync(keystorePath).filter(file => file.endsWith('.json')).sort();
+    if (files.length === 0) {
+      throw new Error(`No .json keystores in ${keystorePath}`);
+    }
+    logger.info(`Decrypting ${files.length} keystore(s) from ${keystorePath}`);
+
+    const privateKeys = [];
+    for (const file of files) {
+      privateKeys.push(await decryptKeystore(fs.readFileSync(path.join(keystorePath, file), 'utf8'), passphrase, file));
+    }
+    return privateKeys;
+  }
+
+  const json = fs.readFileSync(keystorePath, 'utf8');
+  let data;
+  try {
+    data = JSON.parse(json);
+  } catch (error) {
+    throw new Error(`${keystorePath} is not valid JSON: ${error.message}`);
+  }
+
+  if (data.ciphertext && data.kdfparams && data.addresses) {
+    return decryptKeys(data, passphrase);
+  }
+  if (data.crypto || data.Crypto) {
+    return [await decryptKeystore(json, passphrase, keystorePath)];
+  }
+  throw new Error(`${keystorePath} is neither a key bundle nor an ethers JSON keystore`);
+}
+
+/**
+ * Write private keys as one ethers JSON keystore per wallet
+ * @param {Array<string>} privateKeys - Private keys
+ * @param {string} passphrase - Passphrase
+ * @param {string} dir - Output directory
+ * @returns {Promise<Array<string>>} - Paths written
+ */
+async function writeKeystores(privateKeys, passphrase, dir) {
+  fs.mkdirSync(dir, { recursive: true });
+
+  const files = [];
+  for (const [index, privateKey] of privateKeys.entries()) {
+    const wallet = new ethers.Wallet(privateKey);
+    // Zero-padded index keeps the file name order equal to the key order
+    const file = path.join(dir, `${String(index).padStart(4, '0')}-${wallet.address}.json`);
+    fs.writeFileSync(file, await wallet.encrypt(passphrase), { mode: 0o600 });
+    files.push(file);
+  }
+  return files;
+}
+
+module.exports = {
+  getPassphrase,
+  encryptKeys,
+  decryptKeys,
+  loadKeystore,
+  writeKeystores
+};
@@ -1,47 +1,174 @@
+const path = require('path');
 const chalk = require('chalk');
 const moment = require('moment');
+const winston = require('winston');
+require('winston-daily-rotate-file');
+const { getContext } = require('./context');
+
+// Levels from most to least severe; success sits between warn and info
+const LEVELS = { error: 0, warn: 1, success: 2, info: 3, debug: 4 };
+const COLORS = { error: 'red', warn: 'yellow', success: 'green', info: 'blue', debug: 'gray' };
+
+// Context fields written with every file entry
+const FIELDS = ['runId', 'wallet', 'module', 'iteration', 'txHash'];
+
+/**
+ * Shorten an address to its first 6 and last 4 characters
+ * @param {string} address - Wallet address
+ * @returns {string} - Masked address
+ */
+function maskAddress(address) {
+  return `${address.substring(0, 6)}...${address.substring(address.length - 4)}`;
+}
+
+// Console lines keep the "[time - wallet] [LEVEL] message" layout
+const consoleFormat = winston.format.printf(entry => {
+  const timestamp = moment(entry.timestamp).format('DD/MM/YYYY - HH:mm:ss');
+  const walletStr = entry.wallet ? ` - ${maskAddress(entry.wallet)}` : '';
+  return chalk[COLORS[entry.level]](`[${timestamp}${walletStr}] [${entry.level.toUpperCase()}] ${entry.message}`);
+});
+
+const fileFormat = winston.format.combine(winston.format.timestamp(), winston.format.json());
+
+const consoleTransport = new winston.transports.Console({ level: 'info', format: consoleFormat });
+
+const base = winston.createLogger({
+  levels: LEVELS,
+  level: 'debug',
+  format: winston.format.timestamp(),
+  transports: [consoleTransport]
+});
+
+// Per-wallet file loggers, created on the first line of each wallet
+const walletLoggers = new Map();
+let walletLogDir = null;
+let walletLogLevel = 'debug';
+
+// Daily rotating file transport, when logging.file is enabled
+let rotatingTransport = null;
+let closing = null;
+
+/**
+ * End a winston logger once every queued entry reached its transports
+ * @param {winston.Logger} target - Logger to end
+ * @returns {Promise<void>}
+ */
+function endLogger(target) {
+  return new Promise(resolve => {
+    target.once('finish', resolve);
+    target.end();
+  });
+}
+
+/**
+ * Get the file logger of a wallet
+ * @param {string} address - Wallet address
+ * @returns {winston.Logger}
+ */
+function getWalletLogger(address) {
+  const key = address.toLowerCase();
+  if (!walletLoggers.has(key)) {
+    walletLoggers.set(key, winston.createLogger({
+      levels: LEVELS,
+      level: walletLogLevel,
+      format: fileFormat,
+      transports: [new winston.transports.File({ filename: path.join(walletLogDir, `${address}.log`) })]
+    }));
+  }
+  return walletLoggers.get(key);
+}
 
-// Create a logger with colored output
 const logger = {
   /**
-   * Format the log message with timestamp and wallet address if provided
+   * Apply the logging section of the configuration
+   * @param {Object} loggingConfig - Logging configuration
+   * @param {string} loggingConfig.level - Console level
+   * @param {Object} loggingConfig.file - Daily rotating JSON files (enabled, dir, level, maxFiles)
+   * @param {boolean} loggingConfig.perWallet - Also write one file per wallet
+   */
+  configure({ level, file, perWallet }) {
+    consoleTransport.level = level;
+
+    if (file.enabled) {
+      rotatingTransport = new winston.transports.DailyRotateFile({
+        dirname: file.dir,
+        filename: 'd3xtr-%DATE%.log',
+        datePattern: 'YYYY-MM-DD',
+        maxFiles: file.maxFiles,
+        level: file.level,
+        format: fileFormat
+      });
+      base.add(rotatingTransport);
+    }
+
+    walletLogDir = file.enabled && perWallet ? path.join(file.dir, 'wallets') : null;
+    walletLogLevel = file.level;
+  },
+
+  /**
+   * Flush and close every log file. Await it before process.exit, which would drop buffered entries.
+   * Lines logged afterwards are lost.
+   * @returns {Promise<void>}
+   */
+  close() {
+    if (!closing) {
+      closing = (async () => {
+        await Promise.all([base, ...walletLoggers.values()].map(endLogger));
+        // Winston only ends the rotating transport, its file stream still holds the last entries
+        if (rotatingTransport && rotatingTransport.logStream) {
+          await new Promise(resolve => {
+            rotatingTransport.once('finish', resolve);
+            rotatingTransport.close();
+          });
+        }
+      })();
+    }
+    return closing;
+  },
+
+  /**
+   * Log a message with the current context (run, wallet, module, iteration)
    * @param {string} level - Log level
-   * @param {string} color - Chalk color function name
    * @param {string} message - Log message
-   * @param {string} [walletAddress] - Optional wallet address
+   * @param {string} [walletAddress] - Optional wallet address, defaults to the wallet being processed
+   * @param {Object} [meta] - Extra fields for the file entry, e.g. { txHash }
    * @returns {void}
    */
-  log(level, color, message, walletAddress = null) {
-    const timestamp = moment().format('DD/MM/YYYY - HH:mm:ss');
-    let walletStr = '';
-    
-    if (walletAddress) {
-      // Format wallet as first 4 chars and last 4 chars
-      walletStr = walletAddress.substring(0, 6) + '...' + walletAddress.substring(walletAddress.length - 4);
-      walletStr = ` - ${walletStr}`;
+  log(level, message, walletAddress = null, meta = {}) {
+    const context = getContext();
+    const entry = { level, message };
+    for (const field of FIELDS) {
+      if (context[field] !== undefined) entry[field] = context[field];
+    }
+    Object.assign(entry, meta);
+
+    // Attribute lines to the wallet whose run they belong to when running wallets concurrently
+    if (walletAddress) entry.wallet = walletAddress;
+
+    base.log({ ...entry });
+    if (walletLogDir && entry.wallet) {
+      getWalletLogger(entry.wallet).log({ ...entry });
     }
-    
-    console.log(chalk[color](`[${timestamp}${walletStr}] [${level}] ${message}`));
   },
   
-  info(message, walletAddress = null) {
-    this.log('INFO', 'blue', message, walletAddress);
+  info(message, walletAddress = null, meta = {}) {
+    this.log('info', message, walletAddress, meta);
   },
   
-  success(message, walletAddress = null) {
-    this.log('SUCCESS', 'green', message, walletAddress);
+  success(message, walletAddress = null, meta = {}) {
+    this.log('success', message, walletAddress, meta);
   },
   
-  warn(message, walletAddress = null) {
-    this.log('WARN', 'yellow', message, walletAddress);
+  warn(message, walletAddress = null, meta = {}) {
+    this.log('warn', message, walletAddress, meta);
   },
   
-  error(message, walletAddress = null) {
-    this.log('ERROR', 'red', message, walletAddress);
+  error(message, walletAddress = null, meta = {}) {
+    this.log('error', message, walletAddress, meta);
   },
   
-  debug(message, walletAddress = null) {
-    this.log('DEBUG', 'gray', message, walletAddress);
+  debug(message, walletAddress = null, meta = {}) {
+    this.log('debug', message, walletAddress, meta);
   }
 };
 
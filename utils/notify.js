@@ -0,0 +1,137 @@
+const axios = require('axios');
+const logger = require('./logger');
+const { sleep } = require('./delay');
+
+// Events a channel can subscribe to
+const EVENTS = ['runStart', 'runEnd', 'walletFailure', 'lowGas', 'jobFailure', 'fatal'];
+
+// Discord embed colors by event
+const COLORS = {
+  runStart: 0x3498db,
+  runEnd: 0x2ecc71,
+  walletFailure: 0xe67e22,
+  lowGas: 0xf1c40f,
+  jobFailure: 0xe74c3c,
+  fatal: 0xe74c3c
+};
+
+// Own instance, so the retry interceptor registration puts on the default axios instance does not apply
+const http = axios.create();
+
+/**
+ * Get the notification settings
+ * @returns {Object|null} - notifications section, or null when notifications are off
+ */
+function getSettings() {
+  const settings = global.config && global.config.notifications;
+  return settings && settings.enabled ? settings : null;
+}
+
+/**
+ * Check whether any channel wants an event
+ * @param {string} event - Event name
+ * @returns {boolean}
+ */
+function isSubscribed(event) {
+  const settings = getSettings();
+  return Boolean(settings) && settings.channels.some(channel => (channel.events || settings.events).includes(event));
+}
+
+/**
+ * Build the request a channel expects for a notification
+ * @param {Object} channel - Channel configuration
+ * @param {Object} notification - Event, title, message, fields and timestamp
+ * @returns {{url: string, body: Object}}
+ */
+function buildRequest(channel, notification) {
+  const { event, title, message, fields, timestamp } = notification;
+  const botName = global.config.bot.name;
+  const lines = Object.entries(fields).map(([name, value]) => `${name}: ${value}`);
+
+  if (channel.type === 'telegram') {
+    return {
+      url: `https://api.telegram.org/bot${channel.botToken}/sendMessage`,
+      body: {
+        chat_id: channel.chatId,
+        text: [`[${botName}] ${title}`, message, ...lines].filter(Boolean).join('\n'),
+        disable_web_page_preview: true
+      }
+    };
+  }
+
+  if (channel.type === 'discord') {
+    return {
+      url: channel.url,
+      body: {
+        username: botName,
+        embeds: [{
+          title,
+          description: message || undefined,
+          color: COLORS[event],
+          fields: Object.entries(fields).map(([name, value]) => ({ name, value: String(value), inline: true })),
+          timestamp
+        }]
+      }
+    };
+  }
+
+  return { url: channel.url, body: { bot: botName, ...notification } };
+}
+
+/**
+ * Deliver a notification to one channel, retrying with backoff
+ * @param {Object} channel - Channel configuration
+ * @param {Object} notification - Notification
+ * @param {Object} settings - Notification settings
+ * @returns {Promise<boolean>} - True if the channel accepted it
+ */
+async function deliver(channel, notification, settings) {
+  const { url, body } = buildRequest(channel, notification);
+
+  for (let attempt = 1; attempt <= settings.retries; attempt++) {
+    try {
+      await http.post(url, body, { timeout: settings.timeout * 1000 });
+      return true;
+    } catch (error) {
+      const reason = error.response ? `HTTP ${error.response.status}` : error.message;
+      if (attempt < settings.retries) {
+        logger.debug(`${channel.type} notification failed (${reason}), retrying (${attempt}/${settings.retries})`);
+        await sleep(1000 * 2 ** (attempt - 1));
+      } else {
+        logger.warn(`Failed to send ${notification.event} notification to ${channel.type}: ${reason}`);
+      }
+    }
+  }
+  return false;
+}
+
+/**
+ * Send a notification to every channel subscribed to the event. Never throws:
+ * a notification that cannot be delivered is only logged.
+ * @param {string} event - One of EVENTS
+ * @param {Object} details
+ * @param {string} details.title - Short title
+ * @param {string} [details.message] - Longer text
+ * @param {Object} [details.fields] - Key/value pairs shown with the message
+ * @returns {Promise<void>}
+ */
+async function notify(event, { title, message = '', fields = {} }) {
+  try {
+    const settings = getSettings();
+    if (!settings) return;
+
+    const channels = settings.channels.filter(channel => (channel.events || settings.events).includes(event));
+    if (channels.length === 0) return;
+
+    const notification = { event, title, message, fields, timestamp: new Date().toISOString() };
+    await Promise.all(channels.map(channel => deliver(channel, notification, settings)));
+  } catch (error) {
+    logger.warn(`Failed to send ${event} notification: ${error.message}`);
+  }
+}
+
+module.exports = {
+  EVENTS,
+  isSubscribed,
+  notify
+};
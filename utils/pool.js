@@ -0,0 +1,26 @@
+/**
+ * Run an async worker over a list with at most `concurrency` items in flight
+ * @param {Array} items - Items to process
+ * @param {number} concurrency - Maximum number of concurrent workers
+ * @param {Function} worker - Async function receiving the item and its index
+ * @returns {Promise<Array>} - Worker results in item order
+ */
+async function runPool(items, concurrency, worker) {
+  const results = new Array(items.length);
+  let next = 0;
+
+  // Each runner keeps taking the next unclaimed item until the list is exhausted
+  const runners = Array.from({ length: Math.min(Math.max(concurrency, 1), items.length) }, async () => {
+    while (next < items.length) {
+      const index = next++;
+      results[index] = await worker(items[index], index);
+    }
+  });
+
+  await Promise.all(runners);
+  return results;
+}
+
+module.exports = {
+  runPool
+};
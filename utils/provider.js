@@ -0,0 +1,311 @@
+const axios = require('axios');
+const { ethers } = require('ethers');
+const logger = require('./logger');
+const { CATEGORIES, classifyError } = require('./errors');
+const { setupProxy } = require('./proxy');
+
+// Same request timeout as ethers' own fetchJson
+const REQUEST_TIMEOUT = 120000;
+
+// Socket errors of a request, whether to the endpoint or through the proxy tunnel to it
+const TRANSPORT_ERROR_CODES = ['ECONNRESET', 'ECONNREFUSED', 'ECONNABORTED', 'ETIMEDOUT', 'EPIPE', 'EHOSTUNREACH',
+  'ENETUNREACH', 'ENOTFOUND', 'EAI_AGAIN', 'ERR_SOCKET_CLOSED'];
+
+// Makes ethers throw on a 429 instead of backing off, so a rate limited endpoint hands over right away
+const NO_THROTTLE = { throttleCallback: async () => false };
+
+// Own instance, so the retry interceptor registration puts on the default axios instance does not apply
+const http = axios.create();
+
+/**
+ * JSON-RPC provider that sends its requests through a proxy agent.
+ * Errors are shaped like the ones ethers' fetchJson throws, so retry classification is unchanged.
+ */
+class ProxiedJsonRpcProvider extends ethers.providers.JsonRpcProvider {
+  /**
+   * @param {string|Object} url - RPC URL, or ethers connection info with url and timeout
+   * @param {Object} agent - HTTP(S) or SOCKS proxy agent
+   * @param {ethers.providers.Networkish} [network] - Network, detected when omitted
+   */
+  constructor(url, agent, network) {
+    super(url, network);
+    this.agent = agent;
+  }
+
+  send(method, params) {
+    const request = { method, params, id: this._nextId++, jsonrpc: '2.0' };
+    this.emit('debug', { action: 'request', request: ethers.utils.deepCopy(request), provider: this });
+
+    // Like JsonRpcProvider, share chain id and block number lookups made in the same tick
+    const cache = ['eth_chainId', 'eth_blockNumber'].includes(method);
+    if (cache && this._cache[method]) {
+      return this._cache[method];
+    }
+
+    const result = this.post(request).then(response => {
+      this.emit('debug', { action: 'response', request, response, provider: this });
+      return response;
+    }, error => {
+      this.emit('debug', { action: 'response', error, request, provider: this });
+      throw error;
+    });
+
+    if (cache) {
+      this._cache[method] = result;
+      setTimeout(() => {
+        this._cache[method] = null;
+      }, 0);
+    }
+    return result;
+  }
+
+  /**
+   * POST a JSON-RPC request through the agent
+   * @param {Object} request - JSON-RPC request
+   * @returns {Promise<*>} - Result of the call
+   */
+  async post(request) {
+    const url = this.connection.url;
+    const timeout = this.connection.timeout || REQUEST_TIMEOUT;
+    let response;
+    try {
+      response = await http.post(url, request, {
+        httpAgent: this.agent,
+        httpsAgent: this.agent,
+        // The agent is the proxy, axios must not apply HTTP(S)_PROXY on top of it
+        proxy: false,
+        timeout,
+        headers: { 'Content-Type': 'application/json' }
+      });
+    } catch (error) {
+      if (error.response) {
+        throw ethers.logger.makeError('bad response', ethers.errors.SERVER_ERROR, {
+          status: error.response.status,
+          body: typeof error.response.data === 'string' ? error.response.data : JSON.stringify(error.response.data),
+          requestBody: JSON.stringify(request),
+          requestMethod: 'POST',
+          url
+        });
+      }
+      if (error.code === 'ECONNABORTED' || error.code === 'ETIMEDOUT') {
+        throw ethers.logger.makeError('timeout', ethers.errors.TIMEOUT, { requestBody: JSON.stringify(request), requestMethod: 'POST', timeout, url });
+      }
+      throw error;
+    }
+
+    const payload = response.data;
+    if (payload.error) {
+      const error = new Error(payload.error.message);
+      error.code = payload.error.code;
+      error.data = payload.error.data;
+      throw error;
+    }
+    return payload.result;
+  }
+}
+
+/**
+ * Create the provider of a single endpoint
+ * @param {string} url - RPC URL
+ * @param {Object|null} [agent] - Proxy agent; without one requests go out directly
+ * @param {Object} [options] - Extra ethers connection info, e.g. timeout or throttleCallback
+ * @returns {ethers.providers.JsonRpcProvider}
+ */
+function createEndpointProvider(url, agent = null, options = {}) {
+  const connection = { ...options, url };
+  return agent ? new ProxiedJsonRpcProvider(connection, agent) : new ethers.providers.JsonRpcProvider(connection);
+}
+
+/**
+ * Shorten an RPC URL for logs; paths often carry API keys
+ * @param {string} url - RPC URL
+ * @returns {string} - Host of the URL
+ */
+function describeEndpoint(url) {
+  return new URL(url).host;
+}
+
+/**
+ * Check whether an error means the endpoint itself is unusable rather than the request being wrong.
+ * Proxy agents fail with bare socket errors and CONNECT messages, which are failures of the path too.
+ * @param {Error} error - Error thrown by an endpoint
+ * @returns {boolean}
+ */
+function isEndpointFailure(error) {
+  const { category } = classifyError(error);
+  if (category === CATEGORIES.NETWORK || category === CATEGORIES.RATE_LIMIT) {
+    return true;
+  }
+
+  const causes = [error, error.cause, error.serverError].filter(Boolean);
+  return causes.some(cause => TRANSPORT_ERROR_CODES.includes(cause.code) ||
+    /proxy connection|CONNECT response|socks|socket hang up|socket closed/i.test(cause.message || ''));
+}
+
+/**
+ * JSON-RPC provider over several endpoints. Requests go to the first endpoint that is up; an endpoint
+ * that fails with a network error or rate limit is skipped for a cooldown and the request moves on.
+ */
+class FailoverProvider extends ethers.providers.JsonRpcProvider {
+  /**
+   * @param {Array<string>} urls - RPC URLs in the order to try them
+   * @param {Object|null} [agent] - Proxy agent used for every endpoint
+   * @param {number} [cooldown=60] - Seconds a failed endpoint is skipped
+   */
+  constructor(urls, agent = null, cooldown = 60) {
+    super(urls[0]);
+    this.endpoints = urls.map(url => ({ url, provider: createEndpointProvider(url, agent, NO_THROTTLE), downUntil: 0 }));
+    this.cooldown = cooldown * 1000;
+  }
+
+  async send(method, params) {
+    const now = Date.now();
+    const up = this.endpoints.filter(endpoint => endpoint.downUntil <= now);
+    // With every endpoint cooling down, trying them all again beats failing outright
+    const candidates = up.length > 0 ? up : this.endpoints;
+
+    let lastError;
+    for (const [i, endpoint] of candidates.entries()) {
+      try {
+        return await endpoint.provider.send(method, params);
+      } catch (error) {
+        // An earlier endpoint broadcast the transaction before failing
+        if (i > 0 && method === 'eth_sendRawTransaction' && /already known|known transaction/i.test(error.message)) {
+          return ethers.utils.keccak256(params[0]);
+        }
+        if (!isEndpointFailure(error)) {
+          throw error;
+        }
+
+        endpoint.downUntil = Date.now() + this.cooldown;
+        lastError = error;
+        const next = candidates[i + 1];
+        logger.warn(`RPC ${describeEndpoint(endpoint.url)} failed on ${method} (${classifyError(error).reason})` +
+          (next ? `, switching to ${describeEndpoint(next.url)}` : ''));
+      }
+    }
+    throw lastError;
+  }
+}
+
+/**
+ * List the configured RPC endpoints by priority (lower first), keeping config order for ties
+ * @param {Object} network - network section of the configuration
+ * @returns {Array<{url: string, priority: number}>}
+ */
+function getEndpoints(network) {
+  const entries = Array.isArray(network.rpc) ? network.rpc : [network.rpc];
+  return entries
+    .map((entry, index) => ({ ...(typeof entry === 'string' ? { url: entry, priority: 1 } : entry), index }))
+    .sort((a, b) => a.priority - b.priority || a.index - b.index)
+    .map(({ url, priority }) => ({ url, priority }));
+}
+
+/**
+ * Check an endpoint's chain id, the age of its latest block and its latency
+ * @param {Object} endpoint - Endpoint with url and priority
+ * @param {Object} network - network section of the configuration
+ * @param {Object|null} agent - Proxy agent
+ * @returns {Promise<Object>} - Endpoint with healthy, problems and whatever could be measured
+ */
+async function checkEndpoint(endpoint, network, agent) {
+  const { maxBlockAge, maxLatency, timeout } = network.health;
+  const provider = createEndpointProvider(endpoint.url, agent, { ...NO_THROTTLE, timeout: timeout * 1000 });
+  const startedAt = Date.now();
+
+  try {
+    const [chainId, block] = await Promise.all([
+      provider.send('eth_chainId', []),
+      provider.send('eth_getBlockByNumber', ['latest', false])
+    ]);
+    const latency = Date.now() - startedAt;
+    const blockAge = Math.max(0, Math.floor(Date.now() / 1000) - Number(block.timestamp));
+
+    const problems = [];
+    if (Number(chainId) !== network.chainId) problems.push(`chain id ${Number(chainId)} instead of ${network.chainId}`);
+    if (blockAge > maxBlockAge) problems.push(`latest block is ${blockAge}s old`);
+    if (latency > maxLatency) problems.push(`${latency} ms latency`);
+
+    return { ...endpoint, healthy: problems.length === 0, problems, chainId: Number(chainId), blockNumber: Number(block.number), blockAge, latency };
+  } catch (error) {
+    return { ...endpoint, healthy: false, problems: [classifyError(error).reason] };
+  }
+}
+
+/**
+ * Check every configured endpoint and log its health
+ * @param {Object} network - network section of the configuration
+ * @param {Object|null} [agent] - Proxy agent to reach the endpoints with
+ * @returns {Promise<Array<string>>} - RPC URLs in the order to try them: healthy ones first, by priority
+ */
+async function checkEndpoints(network, agent = null) {
+  const endpoints = getEndpoints(network);
+  if (!network.health.enabled) {
+    return endpoints.map(endpoint => endpoint.url);
+  }
+
+  const results = await Promise.all(endpoints.map(endpoint => checkEndpoint(endpoint, network, agent)));
+  for (const result of results) {
+    const name = `RPC ${describeEndpoint(result.url)} (priority ${result.priority})`;
+    if (result.healthy) {
+      logger.info(`${name} healthy: block ${result.blockNumber}, ${result.blockAge}s old, ${result.latency} ms`);
+    } else {
+      logger.warn(`${name} unhealthy: ${result.problems.join(', ')}`);
+    }
+  }
+
+  const healthy = results.filter(result => result.healthy);
+  if (healthy.length === 0) {
+    logger.warn('No healthy RPC endpoint, trying them all in priority order');
+  }
+  return [...healthy, ...results.filter(result => !result.healthy)].map(result => result.url);
+}
+
+/**
+ * Create the provider of a wallet
+ * @param {string|Array<string>} rpc - RPC URL, or URLs to fail over between in order
+ * @param {Object|null} [agent] - Proxy agent; without one requests go out directly
+ * @param {number} [cooldown] - Seconds a failed endpoint is skipped
+ * @returns {ethers.providers.JsonRpcProvider}
+ */
+function createProvider(rpc, agent = null, cooldown = undefined) {
+  const urls = Array.isArray(rpc) ? rpc : [rpc];
+  return urls.length === 1 ? createEndpointProvider(urls[0], agent) : new FailoverProvider(urls, agent, cooldown);
+}
+
+/**
+ * Check the endpoints through an agent and create a provider that tries them in the order found.
+ * Runs once per wallet, so each wallet ranks the endpoints as seen through its own proxy.
+ * @param {Object} network - network section of the configuration
+ * @param {Object|null} [agent] - Proxy agent of the wallet
+ * @returns {Promise<ethers.providers.JsonRpcProvider>}
+ */
+async function connectProvider(network, agent = null) {
+  const urls = await checkEndpoints(network, agent);
+  return createProvider(urls, agent, network.health.cooldown);
+}
+
+/**
+ * Create the provider of an account for read-only commands, through the account's proxy if it has one.
+ * These skip the health check and fail over between the endpoints in priority order.
+ * @param {Object} network - network section of the configuration
+ * @param {string|null} proxy - Proxy string of the account
+ * @returns {Promise<ethers.providers.JsonRpcProvider|null>} - Null if the proxy could not be set up
+ */
+async function createAccountProvider(network, proxy) {
+  const agent = proxy ? await setupProxy(proxy) : null;
+  if (proxy && !agent) {
+    return null;
+  }
+  return createProvider(getEndpoints(network).map(endpoint => endpoint.url), agent, network.health.cooldown);
+}
+
+module.exports = {
+  ProxiedJsonRpcProvider,
+  FailoverProvider,
+  getEndpoints,
+  checkEndpoints,
+  createProvider,
+  connectProvider,
+  createAccountProvider
+};
@@ -0,0 +1,73 @@
+const logger = require('./logger');
+const { sleep } = require('./delay');
+const { CATEGORIES, describeFailure } = require('./errors');
+
+// Defaults for the `retry` block of every module section
+const DEFAULT_POLICY = {
+  baseDelay: 2,
+  maxDelay: 60,
+  retryOn: [CATEGORIES.NONCE, CATEGORIES.RATE_LIMIT, CATEGORIES.NETWORK, CATEGORIES.UNKNOWN]
+};
+
+/**
+ * Build a retry policy from a module configuration
+ * @param {Object} moduleConfig - Module configuration with maxRetries and an optional retry block
+ * @returns {{maxRetries: number, baseDelay: number, maxDelay: number, retryOn: Array<string>}}
+ */
+function getRetryPolicy(moduleConfig) {
+  return {
+    ...DEFAULT_POLICY,
+    ...moduleConfig.retry,
+    maxRetries: moduleConfig.maxRetries
+  };
+}
+
+/**
+ * Exponential backoff with full jitter on the upper half
+ * @param {Object} policy - Retry policy
+ * @param {number} attempt - Attempt that just failed, starting at 1
+ * @returns {number} - Delay in milliseconds
+ */
+function backoffDelay(policy, attempt) {
+  const ceiling = Math.min(policy.maxDelay, policy.baseDelay * 2 ** (attempt - 1));
+  return Math.round(ceiling * (0.5 + Math.random() / 2) * 1000);
+}
+
+/**
+ * Run an operation until it succeeds, retrying only failures the policy considers recoverable
+ * @param {Function} operation - Async function returning a transaction result
+ * @param {Object} policy - Retry policy from getRetryPolicy
+ * @param {string} label - Operation name for logging
+ * @param {string} [walletAddress] - Wallet address for logging
+ * @returns {Promise<Object>} - Result of the last attempt
+ */
+async function withRetry(operation, policy, label, walletAddress = null) {
+  let result;
+
+  for (let attempt = 1; attempt <= policy.maxRetries; attempt++) {
+    result = await operation(attempt);
+    if (result.success) {
+      return result;
+    }
+
+    const { category, reason } = describeFailure(result);
+    if (!policy.retryOn.includes(category)) {
+      logger.warn(`Not retrying ${label}: ${category} (${reason})`, walletAddress);
+      return result;
+    }
+
+    if (attempt < policy.maxRetries) {
+      const delayMs = backoffDelay(policy, attempt);
+      logger.info(`Retrying ${label} after ${category} in ${(delayMs / 1000).toFixed(1)}s (${attempt}/${policy.maxRetries})`, walletAddress);
+      await sleep(delayMs);
+    }
+  }
+
+  logger.error(`Failed to ${label} after ${policy.maxRetries} attempts`, walletAddress);
+  return result;
+}
+
+module.exports = {
+  getRetryPolicy,
+  withRetry
+};
@@ -0,0 +1,112 @@
+const cron = require('node-cron');
+const parser = require('cron-parser');
+const moment = require('moment');
+const logger = require('./logger');
+
+/**
+ * Create a scheduler that runs jobs on cron expressions, never two at the same time
+ * @param {Object} options
+ * @param {string} [options.timezone] - IANA timezone of the expressions, defaults to the system timezone
+ * @param {string} [options.overlap='skip'] - What to do when a job is due while another runs: 'skip' or 'queue'
+ * @param {Function} [options.onError] - Awaited with the error and the job name when a job throws; the schedules keep running
+ * @returns {Object} - Scheduler with add(), trigger(), start() and stop()
+ */
+function createScheduler({ timezone, overlap = 'skip', onError = () => {} }) {
+  const jobs = new Map();
+  const queue = [];
+  let running = null;
+
+  // node-cron does not expose its next fire time, so work it out from the expression
+  const nextRun = expression => {
+    try {
+      return parser.parseExpression(expression, { tz: timezone }).next().toDate();
+    } catch (error) {
+      return null;
+    }
+  };
+
+  const logNextRun = () => {
+    const next = [...jobs.values()]
+      .map(({ name, expression }) => ({ name, at: nextRun(expression) }))
+      .filter(({ at }) => at)
+      .sort((a, b) => a.at - b.at)[0];
+    if (next) {
+      logger.info(`Next run at ${moment(next.at).format('DD/MM/YYYY HH:mm:ss')} (${next.name}, ${moment(next.at).fromNow()})`);
+    }
+  };
+
+  const execute = async name => {
+    running = name;
+    try {
+      await jobs.get(name).job();
+    } catch (error) {
+      await onError(error, name);
+    } finally {
+      running = null;
+    }
+
+    if (queue.length > 0) {
+      const queued = queue.shift();
+      logger.info(`Starting queued ${queued} run`);
+      return execute(queued);
+    }
+    logNextRun();
+  };
+
+  const scheduler = {
+    /**
+     * Register a job
+     * @param {string} name - Job name for logging
+     * @param {string} expression - Cron expression
+     * @param {Function} job - Async function to run
+     */
+    add(name, expression, job) {
+      const task = cron.schedule(expression, () => scheduler.trigger(name), { scheduled: false, timezone, name });
+      jobs.set(name, { name, expression, job, task });
+    },
+
+    /**
+     * Run a job now, or skip or queue it if another job is running
+     * @param {string} name - Job name
+     */
+    trigger(name) {
+      if (running) {
+        if (overlap === 'queue' && running !== name && !queue.includes(name)) {
+          logger.info(`Queueing ${name} run until ${running} finishes`);
+          queue.push(name);
+        } else {
+          logger.warn(`Skipping ${name} run, ${running} is still going`);
+        }
+        return;
+      }
+      logger.info(`Starting scheduled ${name} run`);
+      execute(name);
+    },
+
+    /**
+     * Start every registered schedule
+     */
+    start() {
+      for (const { name, expression, task } of jobs.values()) {
+        task.start();
+        logger.info(`Scheduled ${name} on "${expression}"${timezone ? ` (${timezone})` : ''}`);
+      }
+      if (!running) logNextRun();
+    },
+
+    /**
+     * Stop every schedule; a running job finishes
+     */
+    stop() {
+      for (const { task } of jobs.values()) {
+        task.stop();
+      }
+    }
+  };
+
+  return scheduler;
+}
+
+module.exports = {
+  createScheduler
+};
@@ -0,0 +1,105 @@
+const { ethers } = require('ethers');
+const logger = require('./logger');
+const { decodeCall, decodeError } = require('../constants/abis');
+
+/**
+ * Check whether the bot runs in dry-run mode
+ * @returns {boolean} - True if transactions must not be broadcast
+ */
+function isDryRun() {
+  return Boolean(global.config && global.config.bot && global.config.bot.dryRun);
+}
+
+/**
+ * Format a decoded argument for logging
+ * @param {*} value - Decoded value
+ * @returns {string} - Readable value
+ */
+function formatValue(value) {
+  if (ethers.BigNumber.isBigNumber(value)) return value.toString();
+  if (Array.isArray(value)) return `[${value.map(formatValue).join(', ')}]`;
+  return String(value);
+}
+
+/**
+ * Decode calldata into a readable function call
+ * @param {string} data - Transaction calldata
+ * @returns {string} - e.g. "staking.unstake(amount=50000000000000000000)"
+ */
+function decodeCalldata(data) {
+  const selector = data.slice(0, 10).toLowerCase();
+
+  try {
+    const call = decodeCall(data);
+    if (!call) {
+      return `unknown call ${selector} (${(data.length - 10) / 2} bytes of arguments)`;
+    }
+    const { kind, fragment, args } = call;
+    const values = fragment.inputs.map((input, i) => `${input.name || `arg${i}`}=${formatValue(args[i])}`);
+    return `${kind}.${fragment.name}(${values.join(', ')})`;
+  } catch (error) {
+    return `call ${selector} with undecodable arguments: ${error.message}`;
+  }
+}
+
+/**
+ * Extract the most useful reason from a failed call or estimate
+ * @param {Error} error - Error thrown by the provider
+ * @returns {string} - Revert reason or error message
+ */
+function getRevertReason(error) {
+  if (error.reason) return error.reason;
+  if (error.error && error.error.message) return error.error.message;
+  return error.message;
+}
+
+/**
+ * Recognise revert data returned by eth_call. ethers v5 hands the revert data of a failed call back
+ * as its result instead of throwing; return data is whole 32-byte words, revert data a selector and words.
+ * @param {string} result - Result of provider.call
+ * @returns {string|null} - Revert reason, or null if the call succeeded
+ */
+function getCallRevert(result) {
+  if (!ethers.utils.isHexString(result) || ethers.utils.hexDataLength(result) % 32 !== 4) {
+    return null;
+  }
+  return decodeError(result);
+}
+
+/**
+ * Simulate a transaction with eth_call and estimateGas instead of sending it
+ * @param {ethers.Wallet} wallet - Ethers wallet
+ * @param {Object} txRequest - Transaction request (to, data, value)
+ * @param {string} label - Operation name for logging
+ * @returns {Promise<boolean>} - True if the transaction would succeed
+ */
+async function simulateTransaction(wallet, txRequest, label) {
+  const tx = {
+    from: wallet.address,
+    to: txRequest.to,
+    data: txRequest.data,
+    value: txRequest.value || 0
+  };
+
+  logger.info(`[DRY RUN] ${label}: ${decodeCalldata(tx.data)} on ${tx.to}`, wallet.address);
+
+  try {
+    const revert = getCallRevert(await wallet.provider.call(tx));
+    if (revert) {
+      logger.warn(`[DRY RUN] ${label} would fail: ${revert}`, wallet.address);
+      return false;
+    }
+    const gasEstimate = await wallet.provider.estimateGas(tx);
+    logger.success(`[DRY RUN] ${label} would succeed (estimated gas ${gasEstimate.toString()})`, wallet.address);
+    return true;
+  } catch (error) {
+    logger.warn(`[DRY RUN] ${label} would fail: ${getRevertReason(error)}`, wallet.address);
+    return false;
+  }
+}
+
+module.exports = {
+  isDryRun,
+  decodeCalldata,
+  simulateTransaction
+};
@@ -0,0 +1,320 @@
+const fs = require('fs');
+const path = require('path');
+const moment = require('moment');
+const { ethers } = require('ethers');
+const logger = require('./logger');
+const { getContext } = require('./context');
+const { renderTable, toMarkdown } = require('./table');
+
+/**
+ * Create the summary of a run. Wallet, module and iteration are taken from the
+ * async context, so the summary has to be in the context under `summary`.
+ * @param {Object} options
+ * @param {string} options.runId - Journal run id
+ * @param {string} options.command - Command that started the run
+ * @param {string} options.explorer - Block explorer base URL
+ * @returns {Object} - Summary with recordOutcome(), recordTransaction(), recordWallet(), getFailures() and finish()
+ */
+function createSummary({ runId, command, explorer }) {
+  const startedAt = new Date();
+  const wallets = new Map();
+
+  const getWallet = address => {
+    if (!wallets.has(address)) {
+      wallets.set(address, { address, outcome: null, durationMs: null, modules: {}, transactions: [] });
+    }
+    return wallets.get(address);
+  };
+
+  const getModule = (wallet, name) => {
+    if (!wallet.modules[name]) {
+      wallet.modules[name] = { iterations: [] };
+    }
+    return wallet.modules[name];
+  };
+
+  return {
+    /**
+     * Record the outcome of a module iteration
+     * @param {string} address - Wallet address
+     * @param {string} module - Module name
+     * @param {number} iteration - Iteration number, starting at 1
+     * @param {boolean|Object} outcome - Boolean or transaction result returned by the service
+     */
+    recordOutcome(address, module, iteration, outcome) {
+      const success = typeof outcome === 'boolean' ? outcome : Boolean(outcome && outcome.success);
+      const skipped = Boolean(outcome && outcome.status === 'skipped');
+      getModule(getWallet(address), module).iterations.push({
+        iteration,
+        status: !success ? 'failed' : skipped ? 'skipped' : 'ok'
+      });
+    },
+
+    /**
+     * Record a transaction sent (or simulated) for a wallet
+     * @param {string} address - Wallet address
+     * @param {string} module - Module name
+     * @param {number} iteration - Iteration number, starting at 1
+     * @param {string} label - Transaction label
+     * @param {Object} result - Transaction result
+     */
+    recordTransaction(address, module, iteration, label, result) {
+      getWallet(address).transactions.push({
+        module,
+        iteration,
+        label,
+        status: result.status,
+        hash: result.hash || null,
+        url: result.hash ? `${explorer.replace(/\/+$/, '')}/tx/${result.hash}` : null,
+        gasUsed: result.gasUsed ? result.gasUsed.toString() : null,
+        fee: result.fee ? result.fee.toString() : null
+      });
+    },
+
+    /**
+     * Record how a wallet finished
+     * @param {string} address - Wallet address
+     * @param {string} outcome - 'completed', 'failed' or 'skipped'
+     * @param {number} durationMs - Time spent on the wallet
+     */
+    recordWallet(address, outcome, durationMs) {
+      const wallet = getWallet(address);
+      wallet.outcome = outcome;
+      wallet.durationMs = durationMs;
+    },
+
+    /**
+     * List the module iterations that failed for a wallet
+     * @param {string} address - Wallet address
+     * @returns {Array<string>} - e.g. ['deposit #2']
+     */
+    getFailures(address) {
+      const wallet = wallets.get(address);
+      if (!wallet) return [];
+      return Object.entries(wallet.modules).flatMap(([name, { iterations }]) => iterations
+        .filter(entry => entry.status === 'failed')
+        .map(entry => `${name} #${entry.iteration}`));
+    },
+
+    /**
+     * Close the summary
+     * @returns {Object} - Run report
+     */
+    finish() {
+      const finishedAt = new Date();
+      const report = {
+        runId,
+        command,
+        startedAt: startedAt.toISOString(),
+        finishedAt: finishedAt.toISOString(),
+        durationMs: finishedAt - startedAt,
+        wallets: [...wallets.values()].map(wallet => ({ ...wallet, gasSpent: sumFees(wallet.transactions) }))
+      };
+
+      const transactions = report.wallets.flatMap(wallet => wallet.transactions);
+      const count = outcome => report.wallets.filter(wallet => wallet.outcome === outcome).length;
+      report.totals = {
+        wallets: report.wallets.length,
+        completed: count('completed'),
+        failed: count('failed'),
+        skipped: count('skipped'),
+        transactions: transactions.length,
+        confirmed: transactions.filter(tx => tx.status === 'confirmed').length,
+        gasSpent: sumFees(transactions)
+      };
+      return report;
+    }
+  };
+}
+
+/**
+ * Add up the fees paid by transactions
+ * @param {Array<Object>} transactions - Recorded transactions
+ * @returns {string} - Total fee in wei
+ */
+function sumFees(transactions) {
+  return transactions
+    .reduce((total, tx) => (tx.fee ? total.add(tx.fee) : total), ethers.BigNumber.from(0))
+    .toString();
+}
+
+/**
+ * Record the outcome of the current module iteration in the run summary, if there is one
+ * @param {boolean|Object} outcome - Boolean or transaction result returned by the service
+ */
+function recordOutcome(outcome) {
+  const { summary, wallet, module, iteration } = getContext();
+  if (summary && wallet && module) {
+    summary.recordOutcome(wallet, module, iteration || 1, outcome);
+  }
+}
+
+/**
+ * Record a transaction in the run summary, if there is one
+ * @param {string} walletAddress - Wallet that sent the transaction
+ * @param {string} label - Transaction label
+ * @param {Object} result - Transaction result
+ */
+function recordTransaction(walletAddress, label, result) {
+  const { summary, module, iteration } = getContext();
+  if (summary) {
+    summary.recordTransaction(walletAddress, module || null, iteration || 1, label, result);
+  }
+}
+
+/**
+ * Format a duration for display
+ * @param {number|null} ms - Duration in milliseconds
+ * @returns {string|null} - e.g. 1h 02m 05s
+ */
+function formatDuration(ms) {
+  if (ms === null || ms === undefined) return null;
+  const duration = moment.duration(ms);
+  const hours = Math.floor(duration.asHours());
+  const pad = value => String(value).padStart(2, '0');
+  if (hours > 0) return `${hours}h ${pad(duration.minutes())}m ${pad(duration.seconds())}s`;
+  if (duration.minutes() > 0) return `${duration.minutes()}m ${pad(duration.seconds())}s`;
+  return `${(ms / 1000).toFixed(1)}s`;
+}
+
+/**
+ * Format a wei amount as ETH for display
+ * @param {string} wei - Amount in wei
+ * @returns {string} - ETH with at most 8 decimals
+ */
+function formatGas(wei) {
+  const [whole, fraction = ''] = ethers.utils.formatEther(wei).split('.');
+  const trimmed = fraction.slice(0, 8).replace(/0+$/, '');
+  return trimmed ? `${whole}.${trimmed}` : whole;
+}
+
+/**
+ * Flatten a report into one row per wallet and module
+ * @param {Object} report - Run report
+ * @returns {{columns: Array<Object>, rows: Array<Object>}}
+ */
+function toRows(report) {
+  const columns = [
+    { key: 'wallet', title: 'Wallet' },
+    { key: 'outcome', title: 'Outcome' },
+    { key: 'duration', title: 'Duration', align: 'right' },
+    { key: 'module', title: 'Module' },
+    { key: 'iterations', title: 'Iterations', align: 'right' },
+    { key: 'failed', title: 'Failed' },
+    { key: 'transactions', title: 'Txs', align: 'right' },
+    { key: 'gas', title: 'Gas (ETH)', align: 'right' }
+  ];
+
+  const rows = [];
+  for (const wallet of report.wallets) {
+    const walletRow = {
+      wallet: `${wallet.address.substring(0, 6)}...${wallet.address.substring(wallet.address.length - 4)}`,
+      outcome: wallet.outcome,
+      duration: formatDuration(wallet.durationMs)
+    };
+
+    const modules = Object.entries(wallet.modules);
+    if (modules.length === 0) {
+      rows.push({ ...walletRow, transactions: wallet.transactions.length, gas: formatGas(wallet.gasSpent) });
+      continue;
+    }
+
+    modules.forEach(([name, { iterations }], i) => {
+      const transactions = wallet.transactions.filter(tx => tx.module === name);
+      const failed = iterations.filter(entry => entry.status === 'failed').map(entry => `#${entry.iteration}`);
+      rows.push({
+        ...(i === 0 ? walletRow : { wallet: '', outcome: '', duration: '' }),
+        module: name,
+        iterations: `${iterations.length - failed.length}/${iterations.length}`,
+        failed: failed.length > 0 ? failed.join(' ') : '',
+        transactions: transactions.length,
+        gas: formatGas(sumFees(transactions))
+      });
+    });
+  }
+
+  return { columns, rows };
+}
+
+/**
+ * One-line totals of a report
+ * @param {Object} report - Run report
+ * @returns {string}
+ */
+function describeTotals(report) {
+  const { totals } = report;
+  return `${totals.wallets} wallet(s): ${totals.completed} completed, ${totals.failed} failed, ${totals.skipped} skipped; ` +
+    `${totals.confirmed}/${totals.transactions} transaction(s) confirmed, ${formatGas(totals.gasSpent)} ETH gas in ${formatDuration(report.durationMs)}`;
+}
+
+/**
+ * Render a report as Markdown
+ * @param {Object} report - Run report
+ * @returns {string}
+ */
+function renderMarkdown(report) {
+  const { columns, rows } = toRows(report);
+  const transactionColumns = [
+    { key: 'wallet', title: 'Wallet' },
+    { key: 'module', title: 'Module' },
+    { key: 'iteration', title: 'Iteration' },
+    { key: 'label', title: 'Transaction' },
+    { key: 'status', title: 'Status' },
+    { key: 'fee', title: 'Fee (ETH)' },
+    { key: 'link', title: 'Hash' }
+  ];
+  const transactionRows = report.wallets.flatMap(wallet => wallet.transactions.map(tx => ({
+    ...tx,
+    wallet: wallet.address,
+    fee: tx.fee ? formatGas(tx.fee) : null,
+    link: tx.url ? `[${tx.hash.substring(0, 10)}...](${tx.url})` : null
+  })));
+
+  return [
+    `# Run ${report.runId}`,
+    '',
+    `- Command: \`${report.command}\``,
+    `- Started: ${report.startedAt}`,
+    `- Finished: ${report.finishedAt}`,
+    `- ${describeTotals(report)}`,
+    '',
+    '## Wallets',
+    '',
+    toMarkdown(columns, rows),
+    '## Transactions',
+    '',
+    transactionRows.length > 0 ? toMarkdown(transactionColumns, transactionRows) : 'No transactions were sent.\n'
+  ].join('\n');
+}
+
+/**
+ * Print a report as a table and write it to timestamped JSON and Markdown files
+ * @param {Object} report - Run report
+ * @param {string} dir - Directory for the summary files
+ */
+function writeSummary(report, dir) {
+  const { columns, rows } = toRows(report);
+  if (rows.length > 0) {
+    console.log(renderTable(columns, rows));
+  }
+  logger.info(`Run summary: ${describeTotals(report)}`);
+
+  try {
+    fs.mkdirSync(dir, { recursive: true });
+    const base = path.join(dir, `summary-${moment(report.finishedAt).format('YYYYMMDD-HHmmss')}-${report.command}`);
+    fs.writeFileSync(`${base}.json`, JSON.stringify(report, null, 2));
+    fs.writeFileSync(`${base}.md`, renderMarkdown(report));
+    logger.info(`Wrote run summary to ${base}.json and ${base}.md`);
+  } catch (error) {
+    // The run is over either way, losing the files must not fail it
+    logger.error(`Failed to write run summary: ${error.message}`);
+  }
+}
+
+module.exports = {
+  createSummary,
+  recordOutcome,
+  recordTransaction,
+  writeSummary,
+  formatGas
+};
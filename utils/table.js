@@ -0,0 +1,68 @@
+const chalk = require('chalk');
+
+/**
+ * Render rows as a plain-text table
+ * @param {Array<{key: string, title: string, align?: string}>} columns - Columns, align is 'left' (default) or 'right'
+ * @param {Array<Object>} rows - Rows keyed by column key, values are printed as strings
+ * @returns {string} - Table with a header line and one line per row
+ */
+function renderTable(columns, rows) {
+  const cell = (row, column) => (row[column.key] === undefined || row[column.key] === null ? '-' : String(row[column.key]));
+  const widths = columns.map(column =>
+    Math.max(column.title.length, ...rows.map(row => cell(row, column).length)));
+
+  const line = values => values
+    .map((value, i) => (columns[i].align === 'right' ? value.padStart(widths[i]) : value.padEnd(widths[i])))
+    .join('  ')
+    .trimEnd();
+
+  return [
+    chalk.bold(line(columns.map(column => column.title))),
+    widths.map(width => '-'.repeat(width)).join('  '),
+    ...rows.map(row => line(columns.map(column => cell(row, column))))
+  ].join('\n');
+}
+
+/**
+ * Quote a value for CSV
+ * @param {*} value - Cell value
+ * @returns {string} - CSV field
+ */
+function csvField(value) {
+  const text = value === undefined || value === null ? '' : String(value);
+  return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * Render rows as CSV
+ * @param {Array<{key: string, title: string}>} columns - Columns
+ * @param {Array<Object>} rows - Rows keyed by column key
+ * @returns {string} - CSV with a header line
+ */
+function toCsv(columns, rows) {
+  return [
+    columns.map(column => csvField(column.title)).join(','),
+    ...rows.map(row => columns.map(column => csvField(row[column.key])).join(','))
+  ].join('\n') + '\n';
+}
+
+/**
+ * Render rows as a Markdown table
+ * @param {Array<{key: string, title: string, align?: string}>} columns - Columns
+ * @param {Array<Object>} rows - Rows keyed by column key
+ * @returns {string} - Markdown table
+ */
+function toMarkdown(columns, rows) {
+  const cell = value => (value === undefined || value === null ? '-' : String(value).replace(/\|/g, '\\|'));
+  return [
+    `| ${columns.map(column => column.title).join(' | ')} |`,
+    `| ${columns.map(column => (column.align === 'right' ? '---:' : '---')).join(' | ')} |`,
+    ...rows.map(row => `| ${columns.map(column => cell(row[column.key])).join(' | ')} |`)
+  ].join('\n') + '\n';
+}
+
+module.exports = {
+  renderTable,
+  toCsv,
+  toMarkdown
+};
@@ -0,0 +1,261 @@
+const { ethers } = require('ethers');
+const logger = require('./logger');
+const { getFeeData, bumpFees, formatFees } = require('./gas');
+const { isDryRun, simulateTransaction } = require('./simulate');
+const { describeFailure } = require('./errors');
+const { recordTransaction } = require('./summary');
+const { getBudgetExhausted, chargeGas } = require('./budget');
+
+// Defaults for the optional `transactions` config section
+const DEFAULT_SETTINGS = {
+  confirmations: 1,
+  confirmationTimeout: 120,
+  feeBumpPercent: 15,
+  maxFeeBumps: 3
+};
+
+// Next nonce to use, keyed by lowercase wallet address
+const nonces = new Map();
+
+/**
+ * Get transaction settings from the global config
+ * @returns {Object} - Transaction settings
+ */
+function getSettings() {
+  const configured = global.config && global.config.transactions ? global.config.transactions : {};
+  return { ...DEFAULT_SETTINGS, ...configured };
+}
+
+/**
+ * Reserve the next nonce for a wallet, syncing with the pending count on first use
+ * @param {ethers.Wallet} wallet - Ethers wallet
+ * @returns {Promise<number>} - Nonce to use
+ */
+async function reserveNonce(wallet) {
+  const key = wallet.address.toLowerCase();
+  if (!nonces.has(key)) {
+    nonces.set(key, await wallet.provider.getTransactionCount(wallet.address, 'pending'));
+  }
+  const nonce = nonces.get(key);
+  nonces.set(key, nonce + 1);
+  return nonce;
+}
+
+/**
+ * Forget the local nonce of a wallet so the next transaction resyncs with the node
+ * @param {string} walletAddress - Wallet address
+ */
+function resetNonce(walletAddress) {
+  nonces.delete(walletAddress.toLowerCase());
+}
+
+/**
+ * Build a result for an operation that failed before or while sending
+ * @param {Error} error - Error that caused the failure
+ * @param {Object} [extra] - Additional result fields
+ * @returns {Object} - Transaction result
+ */
+function failedResult(error, extra = {}) {
+  return { success: false, status: 'failed', error, ...extra };
+}
+
+/**
+ * Build a result for an operation that did not need a transaction
+ * @param {string} reason - Why nothing was sent
+ * @returns {Object} - Transaction result
+ */
+function skippedResult(reason) {
+  return { success: true, status: 'skipped', reason };
+}
+
+/**
+ * Build a result for a trade that found no orders to fill against
+ * @param {string} reason - Which side of the book was empty
+ * @returns {Object} - Transaction result
+ */
+function noLiquidityResult(reason) {
+  return { success: false, status: 'no_liquidity', reason };
+}
+
+/**
+ * Turn a mined receipt into a transaction result
+ * @param {Object} receipt - Transaction receipt
+ * @param {number} nonce - Nonce used
+ * @param {number} replacements - Number of fee bumps sent
+ * @returns {Object} - Transaction result
+ */
+function receiptResult(receipt, nonce, replacements) {
+  const effectiveGasPrice = receipt.effectiveGasPrice || ethers.BigNumber.from(0);
+  return {
+    success: receipt.status === 1,
+    status: receipt.status === 1 ? 'confirmed' : 'reverted',
+    hash: receipt.transactionHash,
+    blockNumber: receipt.blockNumber,
+    gasUsed: receipt.gasUsed,
+    effectiveGasPrice,
+    fee: receipt.gasUsed.mul(effectiveGasPrice),
+    nonce,
+    replacements,
+    logs: receipt.logs
+  };
+}
+
+/**
+ * Find a mined receipt among the hashes sent for one nonce
+ * @param {ethers.providers.Provider} provider - Ethers provider
+ * @param {Array<string>} hashes - Hashes sent with the same nonce
+ * @returns {Promise<Object|null>} - Receipt or null if none is mined
+ */
+async function findReceipt(provider, hashes) {
+  for (const hash of hashes) {
+    const receipt = await provider.getTransactionReceipt(hash);
+    if (receipt && receipt.blockNumber) {
+      return receipt;
+    }
+  }
+  return null;
+}
+
+// Errors meaning an earlier transaction with this nonce was already mined
+function isNonceUsed(error) {
+  return error.code === ethers.errors.NONCE_EXPIRED || /nonce (too low|has already been used)/i.test(error.message);
+}
+
+function isUnderpriced(error) {
+  return error.code === ethers.errors.REPLACEMENT_UNDERPRICED || /underpriced/i.test(error.message);
+}
+
+/**
+ * Send a transaction, or simulate it in dry-run mode, and wait for the outcome
+ * @param {ethers.Wallet} wallet - Ethers wallet
+ * @param {Object} txRequest - Transaction request (to, data, value, gasLimit)
+ * @param {string} label - Operation name for logging
+ * @param {string} operation - Operation name used to pick the fee multiplier
+ * @returns {Promise<Object>} - Transaction result
+ */
+async function submitTransaction(wallet, txRequest, label, operation) {
+  if (isDryRun()) {
+    const success = await simulateTransaction(wallet, txRequest, label);
+    return { success, status: 'simulated' };
+  }
+
+  const settings = getSettings();
+  const { provider } = wallet;
+  const timeoutMs = settings.confirmationTimeout * 1000;
+
+  let fees = await getFeeData(provider, operation);
+  const nonce = await reserveNonce(wallet);
+  const hashes = [];
+
+  for (let bump = 0; bump <= settings.maxFeeBumps; bump++) {
+    if (bump > 0) {
+      const bumped = bumpFees(fees, settings.feeBumpPercent);
+      if (!bumped) {
+        logger.warn(`${label} not confirmed and fees are already at the configured cap`, wallet.address);
+        break;
+      }
+      fees = bumped;
+      logger.warn(`${label} not confirmed after ${settings.confirmationTimeout}s, replacing with ${formatFees(fees)} (${bump}/${settings.maxFeeBumps})`, wallet.address);
+    }
+
+    try {
+      const tx = await wallet.sendTransaction({ ...txRequest, ...fees, nonce });
+      hashes.push(tx.hash);
+      logger.info(`${label} transaction sent: ${tx.hash}`, wallet.address, { txHash: tx.hash });
+    } catch (error) {
+      if (hashes.length > 0 && isNonceUsed(error)) {
+        // One of the earlier attempts got mined in the meantime
+        const receipt = await provider.waitForTransaction(hashes[hashes.length - 1], settings.confirmations, timeoutMs)
+          .catch(() => findReceipt(provider, hashes));
+        if (receipt) {
+          return receiptResult(receipt, nonce, hashes.length - 1);
+        }
+      }
+      if (hashes.length > 0 && isUnderpriced(error)) {
+        continue;
+      }
+      resetNonce(wallet.address);
+      return failedResult(error, { nonce, hash: hashes[hashes.length - 1] || null, hashes });
+    }
+
+    try {
+      const receipt = await provider.waitForTransaction(hashes[hashes.length - 1], settings.confirmations, timeoutMs);
+      return receiptResult(receipt, nonce, hashes.length - 1);
+    } catch (error) {
+      if (error.code !== ethers.errors.TIMEOUT) {
+        resetNonce(wallet.address);
+        return failedResult(error, { nonce, hash: hashes[hashes.length - 1], hashes });
+      }
+    }
+
+    // An earlier, cheaper attempt may have been mined while we waited for the latest one
+    const receipt = await findReceipt(provider, hashes);
+    if (receipt) {
+      return receiptResult(receipt, nonce, hashes.length - 1);
+    }
+  }
+
+  // Still pending: resync the nonce so later transactions do not queue behind it blindly
+  resetNonce(wallet.address);
+  logger.error(`${label} still pending after ${hashes.length} attempt(s)`, wallet.address, { txHash: hashes[hashes.length - 1] });
+  return {
+    success: false,
+    status: 'timeout',
+    hash: hashes[hashes.length - 1] || null,
+    hashes,
+    nonce,
+    replacements: Math.max(hashes.length - 1, 0)
+  };
+}
+
+/**
+ * Sign, send and confirm a transaction, replacing it with a higher fee if it gets stuck.
+ * In dry-run mode the transaction is only simulated. Every result goes to the run summary,
+ * and nothing is sent once the gas budget of the run is used up.
+ * @param {ethers.Wallet} wallet - Ethers wallet
+ * @param {Object} txRequest - Transaction request (to, data, value, gasLimit)
+ * @param {string} label - Operation name for logging
+ * @param {string} [operation='default'] - Operation name used to pick the fee multiplier
+ * @returns {Promise<Object>} - Result with success, status, hash, blockNumber, gasUsed, effectiveGasPrice and fee
+ */
+async function sendTransaction(wallet, txRequest, label, operation = 'default') {
+  const exhausted = getBudgetExhausted(wallet.address);
+  if (exhausted) {
+    logger.warn(`Not sending ${label}: ${exhausted}`, wallet.address);
+    return { success: false, status: 'budget', reason: exhausted };
+  }
+
+  const result = await submitTransaction(wallet, txRequest, label, operation);
+  recordTransaction(wallet.address, label, result);
+  chargeGas(wallet.address, result);
+  return result;
+}
+
+/**
+ * Log the outcome of a transaction result. Simulated results are already logged by the simulator.
+ * @param {ethers.Wallet} wallet - Ethers wallet
+ * @param {Object} result - Transaction result
+ * @param {string} successMessage - Message for a confirmed transaction
+ * @param {string} failureMessage - Message for a failed transaction
+ */
+function logResult(wallet, result, successMessage, failureMessage) {
+  if (result.status === 'simulated') return;
+
+  const meta = result.hash ? { txHash: result.hash } : {};
+  if (result.success) {
+    logger.success(successMessage, wallet.address, meta);
+    return;
+  }
+
+  const { category, reason } = describeFailure(result);
+  logger.error(`${failureMessage}: ${reason} [${category}]`, wallet.address, meta);
+}
+
+module.exports = {
+  sendTransaction,
+  logResult,
+  resetNonce,
+  failedResult,
+  skippedResult,
+  noLiquidityResult
+};
@@ -1,5 +1,6 @@
 const { ethers } = require('ethers');
 const logger = require('./logger');
+const { abis } = require('../constants/abis');
 
 /**
  * Get token balance
@@ -10,8 +11,7 @@ const logger = require('./logger');
  */
 async function getTokenBalance(tokenAddress, walletAddress, provider) {
   try {
-    const abi = ['function balanceOf(address) view returns (uint256)'];
-    const contract = new ethers.Contract(tokenAddress, abi, provider);
+    const contract = new ethers.Contract(tokenAddress, abis.token, provider);
     return await contract.balanceOf(walletAddress);
   } catch (error) {
     logger.error(`Failed to get token balance: ${error.message}`);
@@ -19,6 +19,45 @@ async function getTokenBalance(tokenAddress, walletAddress, provider) {
   }
 }
 
+/**
+ * Get token decimals
+ * @param {string} tokenAddress - Token contract address
+ * @param {ethers.providers.Provider} provider - Ethers provider
+ * @returns {Promise<number>} - Token decimals
+ */
+async function getTokenDecimals(tokenAddress, provider) {
+  try {
+    const contract = new ethers.Contract(tokenAddress, abis.token, provider);
+    return await contract.decimals();
+  } catch (error) {
+    // Default to 18 if we can't get decimals
+    logger.warn(`Failed to get token decimals, defaulting to 18: ${error.message}`);
+    return 18;
+  }
+}
+
+/**
+ * Get the decimals of a configured token, reading them on-chain when not configured
+ * @param {Object} token - Token configuration from faucet.tokens
+ * @param {ethers.providers.Provider} provider - Ethers provider
+ * @returns {Promise<number>} - Token decimals
+ */
+async function resolveDecimals(token, provider) {
+  return token.decimals !== undefined ? token.decimals : getTokenDecimals(token.contract, provider);
+}
+
+/**
+ * Get the balance a wallet holds in a Dextr vault
+ * @param {string} vaultAddress - Vault contract address
+ * @param {string} walletAddress - Wallet address
+ * @param {ethers.providers.Provider} provider - Ethers provider
+ * @returns {Promise<ethers.BigNumber>} - Vault balance
+ */
+async function getVaultBalance(vaultAddress, walletAddress, provider) {
+  const contract = new ethers.Contract(vaultAddress, abis.vault, provider);
+  return contract.balanceOf(walletAddress);
+}
+
 /**
  * Get ETH balance
  * @param {string} walletAddress - Wallet address
@@ -36,5 +75,8 @@ async function getEthBalance(walletAddress, provider) {
 
 module.exports = {
   getTokenBalance,
+  getTokenDecimals,
+  resolveDecimals,
+  getVaultBalance,
   getEthBalance
 };
\ No newline at end of file